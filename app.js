@@ -3,13 +3,27 @@
 // ============================================
 const CONFIG = {
     SESSION_DURATION: 8 * 60 * 60 * 1000,
+    SESSION_WARNING: 2 * 60 * 1000,
+    SESSION_TOUCH_INTERVAL: 60 * 1000,
     LOCKOUT_DURATION: 5 * 60 * 1000,
     MAX_LOGIN_ATTEMPTS: 5,
+    PASSWORD_MIN_LENGTH: 10,
+    PASSWORD_HASH_ITERATIONS: 600000,
     DEBOUNCE_DELAY: 300,
-    MAX_AUDIT_ENTRIES: 10,
+    AUDIT_PAGE_SIZE: 100,
     MAX_GLOBAL_DESIGNATION_HISTORY: 100,
     MAX_AREA_DESIGNATION_HISTORY: 50,
     DEFAULT_RETENTION_DAYS: 180,
+    MAX_EXPORT_RANGE_DAYS: 366,
+    TRENDS_DEFAULT_DAYS: 30,
+    TRENDS_TOP_DESIGNATIONS: 5,
+    DEFAULT_UNDERSTAFF_THRESHOLD_PCT: 10,
+    DEFAULT_AREA_LEVELS: ['Site', 'Zone'],
+    SYNC_INTERVAL: 60 * 1000,
+    SYNC_DEBOUNCE: 2000,
+    SECURITY_LOG_MAX: 1000,
+    SECURITY_LOG_PAGE_SIZE: 100,
+    LEGACY_DESIGNATION: 'Unspecified',
     DEFAULT_AREAS: [
         'TCF Facilities',
         'Precast S2A',
@@ -33,7 +47,20 @@ const STORAGE_KEYS = {
     USERS: 'hc_users',
     SESSION: 'hc_session',
     ATTENDANCE: 'hc_attendance',
-    DESIGNATION_HISTORY: 'hc_designation_history'
+    DESIGNATION_HISTORY: 'hc_designation_history',
+    AUDIT: 'hc_audit',
+    TEMPLATES: 'hc_templates',
+    PLANS: 'hc_plans',
+    CATALOG: 'hc_designation_catalog',
+    ARCHIVED_AREAS: 'hc_archived_areas',
+    AREA_GROUPS: 'hc_area_groups',
+    SCHEMA_VERSION: 'hc_schema_version',
+    SYNC: 'hc_sync',
+    LOGIN_ATTEMPTS: 'hc_login_attempts',
+    LAST_LOGIN: 'hc_last_login',
+    SECURITY_LOG: 'hc_security_log',
+    ENCRYPTION: 'hc_encryption',
+    AREA_STAMPS: 'hc_area_stamps'
 };
 
 // ============================================
@@ -53,32 +80,146 @@ const Utils = {
         return new Date(timestamp).toLocaleString();
     },
 
+    getDateRange(fromStr, toStr) {
+        const dates = [];
+        const d = new Date(fromStr);
+        const end = new Date(toStr);
+        if (isNaN(d) || isNaN(end)) return dates;
+
+        while (d <= end) {
+            dates.push(this.formatDate(d));
+            d.setUTCDate(d.getUTCDate() + 1);
+        }
+        return dates;
+    },
+
     normalizeDesignation(text) {
         return text.trim().replace(/\s+/g, ' ').toLowerCase();
     },
 
+    // Splits CSV text into rows of fields. Handles quoted fields with commas,
+    // doubled quotes and line breaks; blank lines are dropped.
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (c === '"') {
+                    quoted = false;
+                } else {
+                    field += c;
+                }
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === ',') {
+                row.push(field);
+                field = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += c;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(f => f.trim() !== ''));
+    },
+
     async generateSalt() {
         const array = new Uint8Array(16);
         crypto.getRandomValues(array);
         return Array.from(array, b => b.toString(16).padStart(2, '0')).join('');
     },
 
-    async hashPassword(password, salt) {
+    // params is { algorithm, iterations } as stored on the user record.
+    // 'sha256' is the single salted SHA-256 of older versions, kept so those
+    // users can still sign in (and be upgraded).
+    async hashPassword(password, salt, params) {
         const encoder = new TextEncoder();
-        const data = encoder.encode(password + salt);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+        let hashBuffer;
+        if (params.algorithm === 'pbkdf2-sha256') {
+            const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+            hashBuffer = await crypto.subtle.deriveBits(
+                { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: params.iterations },
+                key,
+                256
+            );
+        } else if (params.algorithm === 'sha256') {
+            hashBuffer = await crypto.subtle.digest('SHA-256', encoder.encode(password + salt));
+        } else {
+            throw new Error(`Unknown password hash algorithm: ${params.algorithm}`);
+        }
         return Array.from(new Uint8Array(hashBuffer))
             .map(b => b.toString(16).padStart(2, '0')).join('');
     },
 
+    // AES-GCM key from a passphrase via PBKDF2-SHA256; salt is a string as from generateSalt.
+    async deriveKey(passphrase, salt, iterations) {
+        const encoder = new TextEncoder();
+        const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    async sha256Hex(text) {
+        const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(hash), b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    toBase64(bytes) {
+        let binary = '';
+        // In chunks: spreading a large array into fromCharCode overflows the stack
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    },
+
+    generateId() {
+        const array = new Uint8Array(8);
+        crypto.getRandomValues(array);
+        return Date.now().toString(36) + '-' + Array.from(array, b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    // Always has upper and lower case letters, a digit and a symbol, so it
+    // passes the password policy.
     generatePassword(length = 12) {
         const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789!@#$%';
-        let pwd = '';
-        const arr = new Uint8Array(length);
-        crypto.getRandomValues(arr);
-        for (let i = 0; i < length; i++) {
-            pwd += chars[arr[i] % chars.length];
-        }
+        let pwd;
+        do {
+            pwd = '';
+            const arr = new Uint8Array(length);
+            crypto.getRandomValues(arr);
+            for (let i = 0; i < length; i++) {
+                pwd += chars[arr[i] % chars.length];
+            }
+        } while (!(/[A-Z]/.test(pwd) && /[a-z]/.test(pwd) && /[0-9]/.test(pwd) && /[^A-Za-z0-9]/.test(pwd)));
         return pwd;
     },
 
@@ -98,932 +239,5514 @@ const Utils = {
 // ============================================
 // STORAGE MANAGEMENT
 // ============================================
+// Everything lives in one IndexedDB database. Attendance is stored as one
+// record per date and the audit log has its own store, so saving a count
+// only writes that date. The small hc_* records (settings, users, areas,
+// catalog, ...) sit in the kv store; init() loads them into memory so their
+// getters return straight away. Every write returns a promise. The sync
+// store holds the server copies Sync merges against.
+//
+// With a data passphrase set (see setPassphrase), users, attendance, the
+// audit log and the sync copies are stored as AES-GCM ciphertext,
+// { sealed: { iv, data } }, under a key derived from the passphrase. Audit
+// records keep id and ts readable so they can be merged and ordered inside a
+// transaction. The key is a non-extractable CryptoKey held in memory only, so
+// every page load asks for the passphrase again; until then dataLocked is set
+// and nothing else may run.
 const Storage = {
-    getSettings() {
-        try {
-            const d = localStorage.getItem(STORAGE_KEYS.SETTINGS);
-            return d ? JSON.parse(d) : { darkMode: false, retentionDays: CONFIG.DEFAULT_RETENTION_DAYS };
-        } catch (e) {
-            return { darkMode: false, retentionDays: CONFIG.DEFAULT_RETENTION_DAYS };
-        }
-    },
+    DB_NAME: 'headcount',
+    DB_VERSION: 2,
+    MIGRATED_KEY: 'hc_local_migrated',
+    // Earlier versions kept the raw key here for the life of the tab
+    LEGACY_KEY_ITEM: 'hc_data_key',
+    SEAL_CHECK: 'headcount',
+    db: null,
+    cache: {},
+    channel: null,
+    _writes: {},
+    onExternalChange: null,
+    key: null,
+    dataLocked: false,
+    _sealing: Promise.resolve(),
+
+    async init() {
+        this.db = await new Promise((resolve, reject) => {
+            const req = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains('kv')) db.createObjectStore('kv');
+                if (!db.objectStoreNames.contains('attendance')) db.createObjectStore('attendance');
+                if (!db.objectStoreNames.contains('audit')) db.createObjectStore('audit', { autoIncrement: true });
+                if (!db.objectStoreNames.contains('sync')) db.createObjectStore('sync');
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+            req.onblocked = () => reject(new Error('Close other Headcount tabs and reload'));
+        });
 
-    saveSettings(s) {
-        localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(s));
-    },
+        this.cache = await this._entries('kv');
+        sessionStorage.removeItem(this.LEGACY_KEY_ITEM);
+        if (this.isEncrypted()) this.dataLocked = true;
+        await this._migrateLocalStorage();
 
-    getAreas() {
-        try {
-            const d = localStorage.getItem(STORAGE_KEYS.AREAS);
-            const a = d ? JSON.parse(d) : [];
-            return Array.isArray(a) ? a : [];
-        } catch (e) {
-            return [];
+        // Other open tabs announce their writes here (see _write)
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(this.DB_NAME);
+            this.channel.onmessage = e => this._onExternalChange(e.data);
         }
     },
 
-    saveAreas(a) {
-        localStorage.setItem(STORAGE_KEYS.AREAS, JSON.stringify(Array.isArray(a) ? a : []));
+    // Runs fn(tx) in one transaction over `stores` and resolves with the
+    // result of the request fn returns (if any) once everything is committed.
+    _run(stores, mode, fn) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(stores, mode);
+            const req = fn(tx);
+            tx.oncomplete = () => resolve(req ? req.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Storage write was aborted'));
+        });
     },
 
-    getUsers() {
-        try {
-            const d = localStorage.getItem(STORAGE_KEYS.USERS);
-            const u = d ? JSON.parse(d) : [];
-            return Array.isArray(u) ? u : [];
-        } catch (e) {
-            return [];
+    // A readwrite _run that tells other tabs what changed once it commits:
+    // change is { kv: [keys], attendance: [dates, or '*' for all], audit: true }.
+    _write(stores, change, fn) {
+        if (this.dataLocked) return Promise.reject(new Error('The data passphrase changed in another tab. Reload to continue.'));
+        return this._run(stores, 'readwrite', fn).then(result => {
+            this.channel?.postMessage(change);
+            return result;
+        });
+    },
+
+    // Another tab wrote. Reload the hc_* records it names (unless this tab
+    // has written them meanwhile) before the app refreshes what it shows.
+    async _onExternalChange(change) {
+        // A new passphrase (or none): stop writing with the old key straight
+        // away; the app reloads and asks for the new one
+        if (change.kv?.includes(STORAGE_KEYS.ENCRYPTION)) {
+            this.dataLocked = true;
+            if (this.onExternalChange) this.onExternalChange(change);
+            return;
         }
+        if (this.dataLocked) return;
+        if (change.kv?.length) {
+            const counts = change.kv.map(key => this._writes[key] || 0);
+            const stored = await this._openEntries(await this._entries('kv'));
+            change.kv.forEach((key, i) => {
+                if ((this._writes[key] || 0) !== counts[i]) return;
+                if (key in stored) this.cache[key] = stored[key];
+                else delete this.cache[key];
+            });
+        }
+        if (this.onExternalChange) this.onExternalChange(change);
     },
 
-    saveUsers(u) {
-        localStorage.setItem(STORAGE_KEYS.USERS, JSON.stringify(Array.isArray(u) ? u : []));
+    // All records of a store, or those whose key is in range, as { key: value }.
+    _entries(storeName, range) {
+        const result = {};
+        return this._run([storeName], 'readonly', tx => {
+            const cursorReq = tx.objectStore(storeName).openCursor(range);
+            cursorReq.onsuccess = () => {
+                const cursor = cursorReq.result;
+                if (!cursor) return;
+                result[cursor.key] = cursor.value;
+                cursor.continue();
+            };
+        }).then(() => result);
     },
 
-    getSession() {
-        try {
-            const d = localStorage.getItem(STORAGE_KEYS.SESSION);
-            return d ? JSON.parse(d) : { currentUser: null, expiresAt: null, failedLogin: { count: 0, cooldownUntil: null } };
-        } catch (e) {
-            return { currentUser: null, expiresAt: null, failedLogin: { count: 0, cooldownUntil: null } };
-        }
+    // Writes to the encrypted stores wait their turn here, as sealing is
+    // async and must not let a later write overtake an earlier one.
+    _queue(fn) {
+        const run = this._sealing.then(fn);
+        this._sealing = run.catch(() => {});
+        return run;
     },
 
-    saveSession(s) {
-        localStorage.setItem(STORAGE_KEYS.SESSION, JSON.stringify(s));
+    // `clear` holds fields to keep readable next to the ciphertext.
+    async _seal(value, clear) {
+        if (!this.key || value === undefined) return value;
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.key,
+            new TextEncoder().encode(JSON.stringify(value)));
+        return { ...clear, sealed: { iv, data } };
     },
 
-    getAttendance() {
-        try {
-            const d = localStorage.getItem(STORAGE_KEYS.ATTENDANCE);
-            const a = d ? JSON.parse(d) : {};
-            return a && typeof a === 'object' ? a : {};
-        } catch (e) {
-            return {};
-        }
+    async _open(value, key = this.key) {
+        if (!value || !value.sealed) return value;
+        if (!key) throw new Error('Stored data is encrypted. Enter the data passphrase first.');
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: value.sealed.iv }, key, value.sealed.data);
+        return JSON.parse(new TextDecoder().decode(plain));
     },
 
-    saveAttendance(a) {
-        localStorage.setItem(STORAGE_KEYS.ATTENDANCE, JSON.stringify(a || {}));
+    async _openEntries(entries) {
+        const result = {};
+        for (const [k, v] of Object.entries(entries)) result[k] = await this._open(v);
+        return result;
     },
 
-    getAttendanceForDate(dateStr) {
-        const all = this.getAttendance();
-        if (!all[dateStr]) {
-            all[dateStr] = { areas: {}, audit: [], updatedAt: null, updatedBy: null };
-        }
-        return all[dateStr];
+    _sealAudit(entries) {
+        return Promise.all(entries.map(e => this._seal(e, { id: e.id, ts: e.ts })));
     },
 
-    saveAttendanceForDate(dateStr, data) {
-        const all = this.getAttendance();
-        all[dateStr] = data;
-        this.saveAttendance(all);
+    isEncrypted() {
+        return !!this.cache[STORAGE_KEYS.ENCRYPTION];
     },
 
-    getDesignationHistory() {
+    // Checks the key against the stored check value, then opens the cached
+    // hc_* records with it.
+    async _useKey(key) {
         try {
-            const d = localStorage.getItem(STORAGE_KEYS.DESIGNATION_HISTORY);
-            const h = d ? JSON.parse(d) : { global: [], byArea: {} };
-            return h;
+            await this._open(this.cache[STORAGE_KEYS.ENCRYPTION].check, key);
         } catch (e) {
-            return { global: [], byArea: {} };
+            throw new Error('Wrong passphrase');
         }
+        this.key = key;
+        this.cache = await this._openEntries(this.cache);
+        this.dataLocked = false;
     },
 
-    saveDesignationHistory(h) {
-        localStorage.setItem(STORAGE_KEYS.DESIGNATION_HISTORY, JSON.stringify(h));
-    }
-};
+    async unlockData(passphrase) {
+        const meta = this.cache[STORAGE_KEYS.ENCRYPTION];
+        await this._useKey(await Utils.deriveKey(passphrase || '', meta.salt, meta.iterations));
+    },
 
-// ============================================
-// DESIGNATION HISTORY & AUTOCOMPLETE
-// ============================================
-const DesignationMgr = {
-    addToHistory(designationLabel, areaName) {
-        const norm = Utils.normalizeDesignation(designationLabel);
-        const h = Storage.getDesignationHistory();
+    // Encrypts everything under a new passphrase, or decrypts it when
+    // passphrase is null, rewriting all protected records in one transaction.
+    setPassphrase(passphrase) {
+        return this._queue(async () => {
+            const attendance = await this.getAttendance();
+            const audit = await this.getAudit();
+            const sync = await this._openEntries(await this._entries('sync'));
+            const users = this.cache[STORAGE_KEYS.USERS];
+
+            const previous = this.key;
+            let meta = null;
+            if (passphrase) {
+                meta = { salt: await Utils.generateSalt(), iterations: CONFIG.PASSWORD_HASH_ITERATIONS };
+                this.key = await Utils.deriveKey(passphrase, meta.salt, meta.iterations);
+            } else {
+                this.key = null;
+            }
 
-        // Global history
-        h.global = h.global.filter(d => Utils.normalizeDesignation(d) !== norm);
-        h.global.unshift(designationLabel);
-        h.global = h.global.slice(0, CONFIG.MAX_GLOBAL_DESIGNATION_HISTORY);
+            let sealed;
+            try {
+                if (meta) meta.check = await this._seal(this.SEAL_CHECK);
+                sealed = {
+                    users: await this._seal(users),
+                    attendance: {},
+                    audit: await this._sealAudit(audit),
+                    sync: {}
+                };
+                for (const [d, data] of Object.entries(attendance)) sealed.attendance[d] = await this._seal(data);
+                for (const [id, base] of Object.entries(sync)) sealed.sync[id] = await this._seal(base);
+            } catch (e) {
+                this.key = previous;
+                throw e;
+            }
 
-        // Area history
-        if (!h.byArea[areaName]) h.byArea[areaName] = [];
-        h.byArea[areaName] = h.byArea[areaName].filter(d => Utils.normalizeDesignation(d) !== norm);
-        h.byArea[areaName].unshift(designationLabel);
-        h.byArea[areaName] = h.byArea[areaName].slice(0, CONFIG.MAX_AREA_DESIGNATION_HISTORY);
+            const keys = [STORAGE_KEYS.USERS, STORAGE_KEYS.ENCRYPTION];
+            keys.forEach(k => { this._writes[k] = (this._writes[k] || 0) + 1; });
+            try {
+                await this._write(['kv', 'attendance', 'audit', 'sync'], { kv: keys, attendance: ['*'], audit: true }, tx => {
+                    const kv = tx.objectStore('kv');
+                    if (users !== undefined) kv.put(sealed.users, STORAGE_KEYS.USERS);
+                    if (meta) kv.put(meta, STORAGE_KEYS.ENCRYPTION);
+                    else kv.delete(STORAGE_KEYS.ENCRYPTION);
+
+                    const att = tx.objectStore('attendance');
+                    att.clear();
+                    Object.entries(sealed.attendance).forEach(([d, v]) => att.put(v, d));
+                    const log = tx.objectStore('audit');
+                    log.clear();
+                    sealed.audit.forEach(e => log.add(e));
+                    const bases = tx.objectStore('sync');
+                    bases.clear();
+                    Object.entries(sealed.sync).forEach(([id, v]) => bases.put(v, id));
+                });
+            } catch (e) {
+                this.key = previous;
+                throw e;
+            }
 
-        Storage.saveDesignationHistory(h);
+            if (meta) this.cache[STORAGE_KEYS.ENCRYPTION] = meta;
+            else delete this.cache[STORAGE_KEYS.ENCRYPTION];
+        });
     },
 
-    getSuggestions(partial, areaName) {
-        const norm = Utils.normalizeDesignation(partial);
-        const h = Storage.getDesignationHistory();
-
-        let suggestions = [];
-        if (areaName && h.byArea[areaName]) {
-            suggestions = h.byArea[areaName].filter(d =>
-                Utils.normalizeDesignation(d).includes(norm)
-            );
+    // Versions before IndexedDB kept everything as JSON under the same hc_*
+    // keys in localStorage. Copy it across in one transaction, once, then
+    // free the localStorage space.
+    async _migrateLocalStorage() {
+        const keys = Object.values(STORAGE_KEYS).filter(k => localStorage.getItem(k) !== null);
+        if (keys.length === 0) return;
+
+        if (!this.cache[this.MIGRATED_KEY]) {
+            const read = key => {
+                try {
+                    return JSON.parse(localStorage.getItem(key));
+                } catch (e) {
+                    return null;
+                }
+            };
+            const attendance = read(STORAGE_KEYS.ATTENDANCE);
+            const audit = read(STORAGE_KEYS.AUDIT);
+            const migratedAt = Date.now();
+
+            await this._run(['kv', 'attendance', 'audit'], 'readwrite', tx => {
+                const kv = tx.objectStore('kv');
+                keys.forEach(key => {
+                    if (key === STORAGE_KEYS.ATTENDANCE || key === STORAGE_KEYS.AUDIT) return;
+                    const value = read(key);
+                    if (value !== null) kv.put(value, key);
+                });
+                Object.entries(attendance && typeof attendance === 'object' ? attendance : {}).forEach(([dateStr, data]) => {
+                    tx.objectStore('attendance').put(data, dateStr);
+                });
+                (Array.isArray(audit) ? audit : []).sort((a, b) => a.ts - b.ts).forEach(e => {
+                    tx.objectStore('audit').add(e);
+                });
+                kv.put(migratedAt, this.MIGRATED_KEY);
+            });
+            this.cache = await this._entries('kv');
         }
 
-        if (suggestions.length < 5) {
-            const global = h.global.filter(d =>
-                Utils.normalizeDesignation(d).includes(norm) &&
-                !suggestions.includes(d)
-            );
-            suggestions = [...suggestions, ...global].slice(0, 5);
-        }
+        keys.forEach(k => localStorage.removeItem(k));
+    },
 
-        return suggestions;
-    }
-};
+    // Copies, so callers can change what they read and save it back.
+    _get(key) {
+        const value = this.cache[key];
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    },
 
-// ============================================
-// AUTHENTICATION
-// ============================================
-const Auth = {
-    async createUser(username, password, role, assignedAreas = []) {
-        const users = Storage.getUsers();
-        if (users.find(u => u.username === username)) {
-            throw new Error('Username already exists');
+    _set(key, value) {
+        this.cache[key] = JSON.parse(JSON.stringify(value));
+        this._writes[key] = (this._writes[key] || 0) + 1;
+        if (key !== STORAGE_KEYS.USERS) {
+            return this._write(['kv'], { kv: [key] }, tx => tx.objectStore('kv').put(this.cache[key], key));
         }
-
-        const salt = await Utils.generateSalt();
-        const hash = await Utils.hashPassword(password, salt);
-
-        users.push({
-            username,
-            role,
-            salt,
-            passwordHash: hash,
-            assignedAreas,
-            createdAt: Date.now(),
-            disabled: false
+        const copy = this.cache[key];
+        return this._queue(async () => {
+            const stored = await this._seal(copy);
+            return this._write(['kv'], { kv: [key] }, tx => tx.objectStore('kv').put(stored, key));
         });
+    },
 
-        Storage.saveUsers(users);
+    getSettings() {
+        const s = this._get(STORAGE_KEYS.SETTINGS);
+        return s && typeof s === 'object' ? s : { darkMode: false, retentionDays: CONFIG.DEFAULT_RETENTION_DAYS };
     },
 
-    async login(username, password) {
-        const sess = Storage.getSession();
+    saveSettings(s) {
+        return this._set(STORAGE_KEYS.SETTINGS, s);
+    },
 
-        if (sess.failedLogin.cooldownUntil && Date.now() < sess.failedLogin.cooldownUntil) {
-            const remaining = Math.ceil((sess.failedLogin.cooldownUntil - Date.now()) / 60000);
-            throw new Error(`Account locked. Try again in ${remaining} minute(s).`);
-        }
+    getAreas() {
+        const a = this._get(STORAGE_KEYS.AREAS);
+        return Array.isArray(a) ? a : [];
+    },
 
-        const users = Storage.getUsers();
-        const user = users.find(u => u.username === username);
+    saveAreas(a) {
+        return this._saveAreaPart(STORAGE_KEYS.AREAS, Array.isArray(a) ? a : []);
+    },
 
-        if (!user) {
-            this._handleFailedLogin();
-            throw new Error('Invalid username or password');
-        }
+    getUsers() {
+        const u = this._get(STORAGE_KEYS.USERS);
+        return Array.isArray(u) ? u : [];
+    },
 
-        if (user.disabled) {
-            throw new Error('Account is disabled');
+    // Each user record that changed gets its own updatedAt/updatedBy, so sync
+    // can merge users one by one. Records applied by Sync keep their stamps.
+    saveUsers(u) {
+        Sync.track('users');
+        let users = Array.isArray(u) ? u : [];
+        if (!Sync._quiet) {
+            const before = new Map(this.getUsers().map(x => [x.username, x]));
+            const stamp = { updatedAt: Date.now(), updatedBy: this.getSession().currentUser || null };
+            users = users.map(x => (Sync.sameRecord(before.get(x.username), x) ? x : { ...x, ...stamp }));
         }
+        return this._set(STORAGE_KEYS.USERS, users);
+    },
 
-        const hash = await Utils.hashPassword(password, user.salt);
-        if (hash !== user.passwordHash) {
-            this._handleFailedLogin();
-            throw new Error('Invalid username or password');
-        }
+    getSession() {
+        const s = this._get(STORAGE_KEYS.SESSION);
+        return s && typeof s === 'object' ? s : { currentUser: null, expiresAt: null };
+    },
 
-        sess.currentUser = username;
-        sess.expiresAt = Date.now() + CONFIG.SESSION_DURATION;
-        sess.failedLogin = { count: 0, cooldownUntil: null };
-        Storage.saveSession(sess);
+    saveSession(s) {
+        return this._set(STORAGE_KEYS.SESSION, s);
     },
 
-    _handleFailedLogin() {
-        const sess = Storage.getSession();
-        sess.failedLogin.count++;
-        if (sess.failedLogin.count >= CONFIG.MAX_LOGIN_ATTEMPTS) {
-            sess.failedLogin.cooldownUntil = Date.now() + CONFIG.LOCKOUT_DURATION;
-        }
-        Storage.saveSession(sess);
+    // Failed sign-ins per username, as { username: { count, cooldownUntil, lastAt } }.
+    getLoginAttempts() {
+        const a = this._get(STORAGE_KEYS.LOGIN_ATTEMPTS);
+        return a && typeof a === 'object' ? a : {};
     },
 
-    logout() {
-        const sess = Storage.getSession();
-        sess.currentUser = null;
-        sess.expiresAt = null;
-        Storage.saveSession(sess);
+    saveLoginAttempts(a) {
+        return this._set(STORAGE_KEYS.LOGIN_ATTEMPTS, a || {});
     },
 
-    getCurrentUser() {
-        const sess = Storage.getSession();
-        if (!sess.currentUser) return null;
+    // Last successful sign-in on this device, as { username: timestamp }. Kept
+    // apart from the user records so signing in does not sync the users list.
+    getLastLogins() {
+        const l = this._get(STORAGE_KEYS.LAST_LOGIN);
+        return l && typeof l === 'object' ? l : {};
+    },
 
-        if (sess.expiresAt && Date.now() > sess.expiresAt) {
-            this.logout();
-            return null;
-        }
+    saveLastLogins(l) {
+        return this._set(STORAGE_KEYS.LAST_LOGIN, l || {});
+    },
 
-        const users = Storage.getUsers();
-        const user = users.find(u => u.username === sess.currentUser);
-        if (!user || user.disabled) {
-            this.logout();
-            return null;
-        }
+    // Oldest first.
+    getSecurityLog() {
+        const l = this._get(STORAGE_KEYS.SECURITY_LOG);
+        return Array.isArray(l) ? l : [];
+    },
 
-        return user;
+    saveSecurityLog(l) {
+        return this._set(STORAGE_KEYS.SECURITY_LOG, Array.isArray(l) ? l : []);
     },
 
-    isAdmin() {
-        const u = this.getCurrentUser();
-        return u && u.role === 'admin';
+    // Every date, as { dateStr: data }. Prefer getAttendanceRange or
+    // getAttendanceForDate where the dates are known.
+    async getAttendance() {
+        return this._openEntries(await this._entries('attendance'));
     },
 
-    async resetPassword(username, newPassword) {
-        const users = Storage.getUsers();
-        const user = users.find(u => u.username === username);
-        if (!user) throw new Error('User not found');
+    async getAttendanceRange(fromStr, toStr) {
+        return this._openEntries(await this._entries('attendance', IDBKeyRange.bound(fromStr, toStr)));
+    },
 
-        const salt = await Utils.generateSalt();
-        user.salt = salt;
-        user.passwordHash = await Utils.hashPassword(newPassword, salt);
-        Storage.saveUsers(users);
-    }
-};
+    getAttendanceDates() {
+        return this._run(['attendance'], 'readonly', tx => tx.objectStore('attendance').getAllKeys());
+    },
 
-// ============================================
-// AUDIT TRAIL
-// ============================================
-const Audit = {
-    addEntry(dateStr, areaName, designationKey, field, oldVal, newVal) {
-        const user = Auth.getCurrentUser();
-        if (!user) return;
+    async getAttendanceForDate(dateStr) {
+        const data = await this._open(await this._run(['attendance'], 'readonly', tx => tx.objectStore('attendance').get(dateStr)));
+        return data || { areas: {}, updatedAt: null, updatedBy: null };
+    },
 
-        const data = Storage.getAttendanceForDate(dateStr);
-        data.audit.unshift({
-            ts: Date.now(),
-            user: user.username,
-            area: areaName,
-            designationKey,
-            field,
-            from: oldVal,
-            to: newVal
+    saveAttendanceForDate(dateStr, data) {
+        Sync.track(`attendance/${dateStr}`);
+        const copy = JSON.parse(JSON.stringify(data));
+        return this._queue(async () => {
+            const stored = await this._seal(copy);
+            return this._write(['attendance'], { attendance: [dateStr] }, tx => tx.objectStore('attendance').put(stored, dateStr));
         });
+    },
 
-        if (data.audit.length > CONFIG.MAX_AUDIT_ENTRIES) {
-            data.audit = data.audit.slice(0, CONFIG.MAX_AUDIT_ENTRIES);
-        }
-
-        Storage.saveAttendanceForDate(dateStr, data);
+    // Replaces attendance for all dates.
+    saveAttendance(all) {
+        Object.keys(all || {}).forEach(dateStr => Sync.track(`attendance/${dateStr}`));
+        const copy = JSON.parse(JSON.stringify(all || {}));
+        return this._queue(async () => {
+            const stored = {};
+            for (const [dateStr, data] of Object.entries(copy)) stored[dateStr] = await this._seal(data);
+            return this._write(['attendance'], { attendance: ['*'] }, tx => {
+                const store = tx.objectStore('attendance');
+                store.clear();
+                Object.entries(stored).forEach(([dateStr, data]) => store.put(data, dateStr));
+            });
+        });
     },
 
-    getEntries(dateStr) {
-        return Storage.getAttendanceForDate(dateStr).audit || [];
-    }
-};
+    deleteAttendanceDates(dates) {
+        return this._queue(() => this._write(['attendance'], { attendance: dates }, tx => {
+            dates.forEach(d => tx.objectStore('attendance').delete(d));
+        }));
+    },
 
-// ============================================
-// ATTENDANCE WITH DESIGNATIONS
-// ============================================
-const Attendance = {
-    getAreaData(dateStr, areaName) {
-        const data = Storage.getAttendanceForDate(dateStr);
-        return data.areas[areaName] || { rows: [] };
+    getDesignationHistory() {
+        const h = this._get(STORAGE_KEYS.DESIGNATION_HISTORY);
+        return h && Array.isArray(h.global) ? h : { global: [], byArea: {} };
     },
 
-    getRow(dateStr, areaName, designationKey) {
-        const area = this.getAreaData(dateStr, areaName);
-        return area.rows.find(r => r.designationKey === designationKey);
+    saveDesignationHistory(h) {
+        return this._set(STORAGE_KEYS.DESIGNATION_HISTORY, h);
     },
 
-    addOrUpdateRow(dateStr, areaName, designationLabel) {
-        const user = Auth.getCurrentUser();
-        if (!user) return;
+    // Oldest first.
+    async getAudit() {
+        const entries = await this._run(['audit'], 'readonly', tx => tx.objectStore('audit').getAll());
+        return Promise.all(entries.map(e => this._open(e)));
+    },
 
-        const designationKey = Utils.normalizeDesignation(designationLabel);
-        const data = Storage.getAttendanceForDate(dateStr);
+    saveAudit(a) {
+        const copy = JSON.parse(JSON.stringify(Array.isArray(a) ? a : []));
+        return this._queue(async () => {
+            const stored = await this._sealAudit(copy);
+            return this._write(['audit'], { audit: true }, tx => {
+                const store = tx.objectStore('audit');
+                store.clear();
+                stored.forEach(e => store.add(e));
+            });
+        });
+    },
 
-        if (!data.areas[areaName]) {
-            data.areas[areaName] = { rows: [] };
-        }
+    // Adds the entries whose id is not stored yet and keeps the log in time
+    // order, in one transaction. Resolves with how many were added.
+    mergeAudit(entries) {
+        let added = 0;
+        return this._queue(async () => {
+            const stored = await this._sealAudit(entries);
+            await this._write(['audit'], { audit: true }, tx => {
+                const store = tx.objectStore('audit');
+                const req = store.getAll();
+                req.onsuccess = () => {
+                    const ids = new Set(req.result.map(e => e.id));
+                    const fresh = stored.filter(e => !ids.has(e.id));
+                    added = fresh.length;
+                    if (added === 0) return;
+                    store.clear();
+                    [...req.result, ...fresh].sort((a, b) => a.ts - b.ts).forEach(e => store.add(e));
+                };
+            });
+            return added;
+        });
+    },
 
-        let row = data.areas[areaName].rows.find(r => r.designationKey === designationKey);
-        if (!row) {
-            row = {
-                designationKey,
-                designationLabel,
-                present: null,
-                confirmed: false,
-                updatedAt: null,
-                updatedBy: null
-            };
-            data.areas[areaName].rows.push(row);
-            DesignationMgr.addToHistory(designationLabel, areaName);
-        }
+    appendAudit(entries) {
+        Sync.trackAudit(entries);
+        const copy = JSON.parse(JSON.stringify(entries));
+        return this._queue(async () => {
+            const stored = await this._sealAudit(copy);
+            return this._write(['audit'], { audit: true }, tx => {
+                stored.forEach(e => tx.objectStore('audit').add(e));
+            });
+        });
+    },
 
-        data.updatedAt = Date.now();
-        data.updatedBy = user.username;
-        Storage.saveAttendanceForDate(dateStr, data);
+    getTemplates() {
+        const t = this._get(STORAGE_KEYS.TEMPLATES);
+        return t && typeof t === 'object' ? t : {};
+    },
 
-        return row;
+    saveTemplates(t) {
+        return this._set(STORAGE_KEYS.TEMPLATES, t || {});
     },
 
-    updateRow(dateStr, areaName, designationKey, updates) {
-        const user = Auth.getCurrentUser();
-        if (!user) return;
+    getPlans() {
+        const p = this._get(STORAGE_KEYS.PLANS);
+        return Array.isArray(p) ? p : [];
+    },
 
-        const data = Storage.getAttendanceForDate(dateStr);
-        if (!data.areas[areaName]) return;
+    savePlans(p) {
+        return this._set(STORAGE_KEYS.PLANS, Array.isArray(p) ? p : []);
+    },
 
-        const row = data.areas[areaName].rows.find(r => r.designationKey === designationKey);
-        if (!row) return;
+    getCatalog() {
+        const c = this._get(STORAGE_KEYS.CATALOG);
+        return Array.isArray(c) ? c : [];
+    },
 
-        const oldRow = { ...row };
+    saveCatalog(c) {
+        return this._set(STORAGE_KEYS.CATALOG, Array.isArray(c) ? c : []);
+    },
 
-        if ('present' in updates && updates.present !== oldRow.present) {
-            Audit.addEntry(dateStr, areaName, designationKey, 'present', oldRow.present, updates.present);
-        }
+    getArchivedAreas() {
+        const a = this._get(STORAGE_KEYS.ARCHIVED_AREAS);
+        return Array.isArray(a) ? a : [];
+    },
 
-        if ('confirmed' in updates && updates.confirmed !== oldRow.confirmed) {
-            Audit.addEntry(dateStr, areaName, designationKey, 'confirmed', oldRow.confirmed, updates.confirmed);
-        }
+    saveArchivedAreas(a) {
+        return this._saveAreaPart(STORAGE_KEYS.ARCHIVED_AREAS, Array.isArray(a) ? a : []);
+    },
 
-        Object.assign(row, updates, { updatedAt: Date.now(), updatedBy: user.username });
-        data.updatedAt = Date.now();
-        data.updatedBy = user.username;
+    getAreaGroups() {
+        const defaults = () => ({ levels: CONFIG.DEFAULT_AREA_LEVELS.slice(), groups: [], areaGroup: {} });
+        const g = this._get(STORAGE_KEYS.AREA_GROUPS);
+        if (!g || !Array.isArray(g.groups)) return defaults();
+        return { ...defaults(), ...g };
+    },
 
-        Storage.saveAttendanceForDate(dateStr, data);
+    saveAreaGroups(g) {
+        return this._saveAreaPart(STORAGE_KEYS.AREA_GROUPS, g);
     },
 
-    deleteRow(dateStr, areaName, designationKey) {
-        const data = Storage.getAttendanceForDate(dateStr);
-        if (!data.areas[areaName]) return;
+    // updatedAt/updatedBy of each entry of the areas document, by entry key
+    // (see Sync.areaRecords).
+    getAreaStamps() {
+        const s = this._get(STORAGE_KEYS.AREA_STAMPS);
+        return s && typeof s === 'object' ? s : {};
+    },
 
-        const idx = data.areas[areaName].rows.findIndex(r => r.designationKey === designationKey);
-        if (idx >= 0) {
-            data.areas[areaName].rows.splice(idx, 1);
-            Storage.saveAttendanceForDate(dateStr, data);
-        }
+    // Areas, archived areas and groups as one document, as synced.
+    getAreasDocument() {
+        return {
+            areas: this.getAreas(),
+            archivedAreas: this.getArchivedAreas(),
+            areaGroups: this.getAreaGroups(),
+            stamps: this.getAreaStamps()
+        };
     },
 
-    getAreaTotals(dateStr, areaName) {
-        const area = this.getAreaData(dateStr, areaName);
-        const total = area.rows.reduce((sum, r) => sum + (typeof r.present === 'number' ? r.present : 0), 0);
-        const confirmed = area.rows.filter(r => r.confirmed).length;
-        return { total, confirmed, rows: area.rows.length };
+    saveAreasDocument(doc) {
+        return Promise.all([
+            this._set(STORAGE_KEYS.AREAS, doc.areas || []),
+            this._set(STORAGE_KEYS.ARCHIVED_AREAS, doc.archivedAreas || []),
+            this._set(STORAGE_KEYS.AREA_GROUPS, doc.areaGroups),
+            this._set(STORAGE_KEYS.AREA_STAMPS, doc.stamps || {})
+        ]);
     },
 
-    getGrandTotal(dateStr, areas) {
-        return areas.reduce((sum, areaName) => {
-            const { total } = this.getAreaTotals(dateStr, areaName);
-            return sum + total;
-        }, 0);
-    }
-};
-
-// ============================================
-// UI UTILITIES
-// ============================================
-const UI = {
-    showToast(message, type = 'info') {
-        const container = document.getElementById('toast-container');
-        const toast = document.createElement('div');
-        toast.className = `toast ${type}`;
-        Utils.setText(toast, message);
-        container?.appendChild(toast);
-        setTimeout(() => toast.remove(), 3000);
+    // Saves one part of the areas document and stamps the entries that
+    // changed with their own updatedAt/updatedBy, as saveUsers does for users.
+    _saveAreaPart(key, value) {
+        Sync.track('areas');
+        if (Sync._quiet) return this._set(key, value);
+
+        const before = Sync.areaRecords(this.getAreasDocument());
+        const saving = this._set(key, value);
+        const after = Sync.areaRecords(this.getAreasDocument());
+
+        const stamps = this.getAreaStamps();
+        const stamp = { updatedAt: Date.now(), updatedBy: this.getSession().currentUser || null };
+        let changed = false;
+        new Set([...before.keys(), ...after.keys()]).forEach(k => {
+            if (Sync._stable(before.get(k)?.data) === Sync._stable(after.get(k)?.data)) return;
+            if (after.has(k)) stamps[k] = stamp;
+            else delete stamps[k];
+            changed = true;
+        });
+        return changed ? Promise.all([saving, this._set(STORAGE_KEYS.AREA_STAMPS, stamps)]) : saving;
     },
 
-    showModal(title, bodyHTML, buttons = []) {
-        const container = document.getElementById('modal-container');
-        const overlay = document.createElement('div');
-        overlay.className = 'modal-overlay';
-
-        const modal = document.createElement('div');
-        modal.className = 'modal';
+    // null when no version has been recorded yet.
+    getSchemaVersion() {
+        const v = this._get(STORAGE_KEYS.SCHEMA_VERSION);
+        return Number.isInteger(v) ? v : null;
+    },
 
-        const header = document.createElement('div');
-        header.className = 'modal-header';
-        const h3 = document.createElement('h3');
-        Utils.setText(h3, title);
-        header.appendChild(h3);
+    saveSchemaVersion(v) {
+        return this._set(STORAGE_KEYS.SCHEMA_VERSION, v);
+    },
 
-        const closeBtn = document.createElement('button');
-        closeBtn.className = 'icon-btn';
-        Utils.setText(closeBtn, '✕');
-        closeBtn.onclick = () => overlay.remove();
-        header.appendChild(closeBtn);
+    getSync() {
+        const defaults = { url: '', token: '', cursor: 0, queue: [], auditQueue: [], lastSyncAt: null, lastError: null };
+        const s = this._get(STORAGE_KEYS.SYNC);
+        return s && typeof s === 'object' ? { ...defaults, ...s } : defaults;
+    },
 
-        const body = document.createElement('div');
-        body.className = 'modal-body';
-        body.innerHTML = bodyHTML;
+    saveSync(s) {
+        return this._set(STORAGE_KEYS.SYNC, s);
+    },
 
-        const footer = document.createElement('div');
-        footer.className = 'modal-footer';
+    // The server's copy of a synced document as last seen: { rev, value }.
+    async getSyncBase(id) {
+        return this._open(await this._run(['sync'], 'readonly', tx => tx.objectStore('sync').get(id)));
+    },
 
-        buttons.forEach(btn => {
-            const button = document.createElement('button');
-            button.className = `btn ${btn.className || 'btn-secondary'}`;
-            Utils.setText(button, btn.text);
-            button.onclick = () => {
-                if (btn.onClick) btn.onClick();
-                if (btn.closeOnClick !== false) overlay.remove();
-            };
-            footer.appendChild(button);
+    saveSyncBase(id, base) {
+        const copy = JSON.parse(JSON.stringify(base));
+        return this._queue(async () => {
+            const stored = await this._seal(copy);
+            return this._run(['sync'], 'readwrite', tx => tx.objectStore('sync').put(stored, id));
         });
-
-        modal.appendChild(header);
-        modal.appendChild(body);
-        modal.appendChild(footer);
-        overlay.appendChild(modal);
-        container?.appendChild(overlay);
-
-        return overlay;
     },
 
-    confirm(message, onConfirm) {
-        this.showModal('Confirm', `<p>${message}</p>`, [
-            { text: 'Cancel', className: 'btn-secondary' },
-            { text: 'Confirm', className: 'btn-primary', onClick: onConfirm }
-        ]);
+    clearSyncBase() {
+        return this._queue(() => this._run(['sync'], 'readwrite', tx => tx.objectStore('sync').clear()));
     },
 
-    switchScreen(screenId) {
-        document.querySelectorAll('.screen').forEach(s => s.style.display = 'none');
-        const screen = document.getElementById(screenId);
-        if (screen) screen.style.display = 'block';
+    // All stored data in the backup file layout (sessions excluded).
+    async exportAll() {
+        return {
+            settings: this.getSettings(),
+            areas: this.getAreas(),
+            archivedAreas: this.getArchivedAreas(),
+            areaGroups: this.getAreaGroups(),
+            users: this.getUsers(),
+            attendance: await this.getAttendance(),
+            designationHistory: this.getDesignationHistory(),
+            audit: await this.getAudit(),
+            templates: this.getTemplates(),
+            plans: this.getPlans(),
+            catalog: this.getCatalog()
+        };
     },
 
-    switchView(viewId) {
-        document.querySelectorAll('.view').forEach(v => v.style.display = 'none');
-        const view = document.getElementById(`${viewId}-view`);
-        if (view) view.style.display = 'block';
+    // Replaces everything with data in the backup file layout.
+    async importAll(data) {
+        await this.saveSettings(data.settings || this.getSettings());
+        await this.saveAreas(data.areas || []);
+        await this.saveArchivedAreas(data.archivedAreas || []);
+        await this.saveAreaGroups(data.areaGroups || { levels: CONFIG.DEFAULT_AREA_LEVELS.slice(), groups: [], areaGroup: {} });
+        await this.saveUsers(data.users || []);
+        await this.saveAttendance(data.attendance || {});
+        if (data.designationHistory) {
+            await this.saveDesignationHistory(data.designationHistory);
+        }
+        await this.saveTemplates(data.templates || {});
+        await this.savePlans(data.plans || []);
+        await this.saveCatalog(data.catalog || []);
+        await this.saveAudit(data.audit || []);
+    },
 
-        document.querySelectorAll('.nav-btn').forEach(b => b.classList.remove('active'));
-        const navBtn = document.querySelector(`.nav-btn[data-view="${viewId}"]`);
-        if (navBtn) navBtn.classList.add('active');
+    // Runs fn and puts the hc_* records and attendance back the way they were
+    // if it throws, so a migration touching several of them either fully
+    // applies or not at all.
+    async transaction(fn) {
+        const kv = JSON.parse(JSON.stringify(this.cache));
+        const attendance = await this.getAttendance();
+        try {
+            return await fn();
+        } catch (e) {
+            this.cache = kv;
+            const users = await this._seal(kv[STORAGE_KEYS.USERS]);
+            await this._write(['kv'], { kv: Object.keys(kv) }, tx => {
+                const store = tx.objectStore('kv');
+                store.clear();
+                Object.entries(kv).forEach(([key, value]) => store.put(key === STORAGE_KEYS.USERS ? users : value, key));
+            });
+            await this.saveAttendance(attendance);
+            throw e;
+        }
     }
 };
 
 // ============================================
-// EXPORT FUNCTIONS
+// DATA SCHEMA & MIGRATIONS
 // ============================================
-const Exports = {
-    exportDetailed(dateStr) {
-        const areas = Storage.getAreas();
-        const attendance = Storage.getAttendance()[dateStr] || { areas: {} };
+// The stored data carries a schema version (hc_schema_version). Each entry
+// in MIGRATIONS brings data from the version before it up to its own
+// version. Steps work on the backup file layout, so the same list upgrades
+// the local database at startup and older backups on import. Backups were
+// labelled version 1 for a long time whatever their shape, so each step
+// looks at the data rather than trusting the number.
+const Schema = {
+    VERSION: 3,
+
+    // The first releases used these localStorage keys.
+    LEGACY_KEYS: {
+        settings: 'headcountSettings',
+        areas: 'headcountAreasMaster',
+        users: 'headcountUsers',
+        session: 'headcountSession',
+        attendance: 'headcountAttendance'
+    },
 
-        let csv = 'date,area,designation,present,confirmed,updated_at,updated_by\n';
+    MIGRATIONS: [
+        {
+            version: 2,
+            description: 'Per-area present counts become designation rows',
+            up(data) {
+                Object.values(data.attendance || {}).forEach(day => {
+                    if (!day || typeof day !== 'object') return;
+                    if (!day.areas || typeof day.areas !== 'object') day.areas = {};
+
+                    Object.entries(day.areas).forEach(([areaName, area]) => {
+                        if (area && Array.isArray(area.rows)) return;
+                        day.areas[areaName] = { rows: Schema._legacyRows(area, day) };
+                    });
+                });
+            }
+        },
+        {
+            version: 3,
+            description: 'Per-date audit lists move into the audit log',
+            up(data) {
+                // Older versions kept the last 10 entries inside each date's
+                // attendance object.
+                const legacy = [];
+                Object.entries(data.attendance || {}).forEach(([dateStr, day]) => {
+                    if (!day || !Array.isArray(day.audit)) return;
+                    day.audit.forEach(e => legacy.push({ id: Utils.generateId(), date: dateStr, ...e }));
+                    delete day.audit;
+                });
 
-        areas.forEach(areaName => {
-            const areaData = attendance.areas[areaName] || { rows: [] };
-            areaData.rows.forEach(row => {
-                const present = row.present !== null ? row.present : '';
-                const confirmed = row.confirmed ? 'true' : 'false';
-                const updatedAt = row.updatedAt ? Utils.formatDateTime(row.updatedAt) : '';
-                const updatedBy = row.updatedBy || '';
-                csv += `${dateStr},"${areaName}","${row.designationLabel}",${present},${confirmed},"${updatedAt}","${updatedBy}"\n`;
-            });
+                if (legacy.length > 0) {
+                    data.audit = [...legacy, ...(data.audit || [])].sort((a, b) => a.ts - b.ts);
+                }
+            }
+        }
+    ],
+
+    // An old area record held one count for the whole area, as present_count
+    // or present, or as a bare number. It becomes a single row under
+    // CONFIG.LEGACY_DESIGNATION.
+    _legacyRows(area, day) {
+        let present = null;
+        if (typeof area === 'number') present = area;
+        else if (area && typeof area.present_count === 'number') present = area.present_count;
+        else if (area && typeof area.present === 'number') present = area.present;
+
+        if (present === null && !area?.updatedAt) return [];
+
+        const label = CONFIG.LEGACY_DESIGNATION;
+        return [{
+            designationKey: Utils.normalizeDesignation(label),
+            designationLabel: label,
+            present,
+            confirmed: present !== null && !!area?.confirmed,
+            updatedAt: area?.updatedAt || day.updatedAt || null,
+            updatedBy: area?.updatedBy || day.updatedBy || null
+        }];
+    },
+
+    // Runs the migrations after `from` on data in the backup layout, in place.
+    upgrade(data, from) {
+        if (!Number.isInteger(from) || from < 1) {
+            throw new Error(`Unknown data version: ${from}`);
+        }
+        if (from > this.VERSION) {
+            throw new Error(`Data is from a newer version of the app (version ${from}, this app reads up to ${this.VERSION}). Update the app first.`);
+        }
+        this.MIGRATIONS.filter(m => m.version > from).forEach(m => m.up(data));
+        return data;
+    },
+
+    _readLegacyKeys() {
+        const legacy = {};
+        let found = false;
+        Object.entries(this.LEGACY_KEYS).forEach(([name, key]) => {
+            const raw = localStorage.getItem(key);
+            if (raw === null) return;
+            found = true;
+            try {
+                legacy[name] = JSON.parse(raw);
+            } catch (e) {
+                legacy[name] = null;
+            }
         });
+        return found ? legacy : null;
+    },
 
-        this._downloadCSV(csv, `headcount_detailed_${dateStr}.csv`);
+    // Legacy data only fills what the current data lacks: users, areas and
+    // settings when none exist yet, and dates that are not stored already.
+    // The old session is dropped so everyone signs in again.
+    _mergeLegacy(data, legacy) {
+        if (Storage.getUsers().length === 0 && Array.isArray(legacy.users)) {
+            data.users = legacy.users
+                .filter(u => u && u.username)
+                .map(u => ({ assignedAreas: [], disabled: false, ...u }));
+        }
+        if (Storage.getAreas().length === 0 && Array.isArray(legacy.areas)) {
+            data.areas = legacy.areas.filter(a => typeof a === 'string' && a.trim());
+        }
+        if (Storage._get(STORAGE_KEYS.SETTINGS) === undefined && legacy.settings && typeof legacy.settings === 'object') {
+            data.settings = { ...data.settings, ...legacy.settings };
+        }
+        if (legacy.attendance && typeof legacy.attendance === 'object') {
+            Object.entries(legacy.attendance).forEach(([dateStr, day]) => {
+                if (!data.attendance[dateStr] && day && typeof day === 'object') data.attendance[dateStr] = day;
+            });
+        }
     },
 
-    exportAreaSummary(dateStr) {
-        const areas = Storage.getAreas();
-        const attendance = Storage.getAttendance()[dateStr] || { areas: {} };
+    // Startup: bring the local database up to VERSION, taking in any legacy
+    // headcount* keys on the way. All of it applies or none of it does.
+    async migrate() {
+        const legacy = this._readLegacyKeys();
+        const stored = Storage.getSchemaVersion();
+        const hasData = Storage.getUsers().length > 0 || (await Storage.getAttendanceDates()).length > 0;
 
-        let csv = 'date,area,present_total,rows_total,rows_confirmed,status,last_updated\n';
+        if (stored === null && !hasData && !legacy) {
+            await Storage.saveSchemaVersion(this.VERSION);
+            return;
+        }
 
-        areas.forEach(areaName => {
-            const areaData = attendance.areas[areaName] || { rows: [] };
-            const { total, confirmed, rows } = Attendance.getAreaTotals(dateStr, areaName);
+        // Data saved before versioning existed counts as version 1.
+        let from = stored === null ? 1 : stored;
+        if (from > this.VERSION) {
+            throw new Error(`Stored data is from a newer version of the app (version ${from}). Update the app before using it.`);
+        }
+        if (from === this.VERSION && !legacy) return;
 
-            let status = 'NOT_STARTED';
-            if (rows > 0) {
-                status = confirmed === rows ? 'CONFIRMED' : 'IN_PROGRESS';
+        await Storage.transaction(async () => {
+            const data = await Storage.exportAll();
+            if (legacy) {
+                this._mergeLegacy(data, legacy);
+                from = 1;
             }
+            this.upgrade(data, from);
+            await Storage.importAll(data);
+            await Storage.saveSchemaVersion(this.VERSION);
+        });
 
-            const lastUpdated = areaData.rows.length > 0
-                ? Math.max(...areaData.rows.map(r => r.updatedAt || 0))
-                : null;
+        Object.values(this.LEGACY_KEYS).forEach(k => localStorage.removeItem(k));
+        await Audit.log({
+            user: 'system',
+            field: 'schema_migrated',
+            from: stored,
+            to: this.VERSION,
+            note: legacy ? 'imported data from headcount* localStorage keys' : null
+        });
+    }
+};
+
+// ============================================
+// DESIGNATION HISTORY & AUTOCOMPLETE
+// ============================================
+const DesignationMgr = {
+    async addToHistory(designationLabel, areaName) {
+        const norm = Utils.normalizeDesignation(designationLabel);
+        const h = Storage.getDesignationHistory();
 
-            const lastUpdatedStr = lastUpdated ? Utils.formatDateTime(lastUpdated) : '';
+        // Global history
+        h.global = h.global.filter(d => Utils.normalizeDesignation(d) !== norm);
+        h.global.unshift(designationLabel);
+        h.global = h.global.slice(0, CONFIG.MAX_GLOBAL_DESIGNATION_HISTORY);
 
-            csv += `${dateStr},"${areaName}",${total},${rows},${confirmed},"${status}","${lastUpdatedStr}"\n`;
-        });
+        // Area history
+        if (!h.byArea[areaName]) h.byArea[areaName] = [];
+        h.byArea[areaName] = h.byArea[areaName].filter(d => Utils.normalizeDesignation(d) !== norm);
+        h.byArea[areaName].unshift(designationLabel);
+        h.byArea[areaName] = h.byArea[areaName].slice(0, CONFIG.MAX_AREA_DESIGNATION_HISTORY);
 
-        this._downloadCSV(csv, `headcount_area_summary_${dateStr}.csv`);
+        await Storage.saveDesignationHistory(h);
     },
 
-    exportDesignationSummary(dateStr) {
-        const areas = Storage.getAreas();
-        const attendance = Storage.getAttendance()[dateStr] || { areas: {} };
-
-        const designationMap = {};
+    getSuggestions(partial, areaName) {
+        const norm = Utils.normalizeDesignation(partial);
+        const h = Storage.getDesignationHistory();
 
-        areas.forEach(areaName => {
-            const areaData = attendance.areas[areaName] || { rows: [] };
-            areaData.rows.forEach(row => {
-                const key = row.designationLabel;
-                if (!designationMap[key]) {
-                    designationMap[key] = { total: 0, count: 0, areas: new Set() };
-                }
-                if (row.present) {
-                    designationMap[key].total += row.present;
-                    designationMap[key].count++;
-                }
-                designationMap[key].areas.add(areaName);
-            });
-        });
+        // Catalog entries first; in strict mode they are the only suggestions
+        let suggestions = Catalog.search(partial).map(e => e.label);
+        if (Catalog.isStrict()) return suggestions.slice(0, 5);
 
-        let csv = 'date,designation,present_total,total_rows,areas_count\n';
+        const seen = new Set(suggestions.map(s => Utils.normalizeDesignation(s)));
+        const add = d => {
+            const key = Utils.normalizeDesignation(Catalog.canonicalize(d));
+            if (seen.has(key)) return;
+            seen.add(key);
+            suggestions.push(Catalog.canonicalize(d));
+        };
 
-        Object.entries(designationMap).forEach(([designation, data]) => {
-            csv += `${dateStr},"${designation}",${data.total},${data.count},${data.areas.size}\n`;
-        });
+        if (areaName && h.byArea[areaName]) {
+            h.byArea[areaName].filter(d => Utils.normalizeDesignation(d).includes(norm)).forEach(add);
+        }
 
-        this._downloadCSV(csv, `headcount_designation_summary_${dateStr}.csv`);
-    },
+        if (suggestions.length < 5) {
+            h.global.filter(d => Utils.normalizeDesignation(d).includes(norm)).forEach(add);
+        }
 
-    _downloadCSV(content, filename) {
-        const blob = new Blob([content], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        const url = URL.createObjectURL(blob);
-        link.href = url;
-        link.download = filename;
-        link.style.display = 'none';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+        return suggestions.slice(0, 5);
     }
 };
 
 // ============================================
-// VIEW CONTROLLERS
+// DESIGNATION CATALOG
 // ============================================
-const HomeView = {
-    init() {
-        const dateInput = document.getElementById('home-date');
-        if (dateInput) {
-            dateInput.value = Utils.getTodayString();
-            dateInput.addEventListener('change', () => this.render());
-        }
+// Admin-maintained canonical designations (hc_designation_catalog), each
+// with a code, category and aliases. Matching ignores case, spacing and
+// punctuation, so "Pipe Fitter", "pipefitter" and "PIPE-FITTER" are the same.
+const Catalog = {
+    _looseKey(text) {
+        return Utils.normalizeDesignation(text || '').replace(/[^a-z0-9]/g, '');
+    },
 
-        const editBtn = document.getElementById('home-edit-today-btn');
-        if (editBtn) {
-            editBtn.addEventListener('click', () => {
-                const ed = document.getElementById('entry-date');
-                if (ed) ed.value = Utils.getTodayString();
-                UI.switchView('entry');
-                EntryView.render();
-            });
-        }
+    isStrict() {
+        return !!Storage.getSettings().catalogStrict;
+    },
 
-        this.render();
+    resolve(text) {
+        const key = this._looseKey(text);
+        if (!key) return null;
+        return Storage.getCatalog().find(e =>
+            this._looseKey(e.label) === key ||
+            (e.code && this._looseKey(e.code) === key) ||
+            (e.aliases || []).some(a => this._looseKey(a) === key)
+        ) || null;
     },
 
-    render() {
+    canonicalize(text) {
+        const entry = this.resolve(text);
+        return entry ? entry.label : text;
+    },
+
+    search(partial) {
+        const key = this._looseKey(partial);
+        if (!key) return [];
+        return Storage.getCatalog().filter(e =>
+            [e.label, e.code, ...(e.aliases || [])].some(v => v && this._looseKey(v).includes(key))
+        );
+    },
+
+    // Returns the label to store for free text, or throws in strict mode
+    // when the text is not a catalog designation.
+    validate(text) {
+        const entry = this.resolve(text);
+        if (entry) return entry.label;
+        if (this.isStrict()) {
+            throw new Error(`"${text}" is not in the designation catalog`);
+        }
+        return text;
+    },
+
+    async saveEntry({ id, label, code, category, aliases }) {
         const user = Auth.getCurrentUser();
-        if (!user) return;
+        if (!user || user.role !== 'admin') throw new Error('Only admins can edit the catalog');
+
+        label = (label || '').trim().replace(/\s+/g, ' ');
+        if (!label) throw new Error('Label required');
+
+        const catalog = Storage.getCatalog();
+        const others = catalog.filter(e => e.id !== id);
+        const names = [label, code, ...(aliases || [])].filter(Boolean);
+        const clash = others.find(e =>
+            [e.label, e.code, ...(e.aliases || [])].filter(Boolean)
+                .some(v => names.some(n => this._looseKey(n) === this._looseKey(v)))
+        );
+        if (clash) throw new Error(`Clashes with existing entry "${clash.label}"`);
+
+        const idx = catalog.findIndex(e => e.id === id);
+        const before = idx >= 0 ? { ...catalog[idx] } : null;
+        const entry = {
+            id: id || Utils.generateId(),
+            label,
+            code: (code || '').trim(),
+            category: (category || '').trim(),
+            aliases: Array.from(new Set((aliases || []).map(a => a.trim()).filter(a => a && this._looseKey(a) !== this._looseKey(label))))
+        };
+        if (idx >= 0) catalog[idx] = entry; else catalog.push(entry);
+        await Storage.saveCatalog(catalog);
 
-        const dateStr = document.getElementById('home-date')?.value || Utils.getTodayString();
-        const areas = user.role === 'admin' ? Storage.getAreas() : user.assignedAreas;
+        await Audit.log({ designationKey: Utils.normalizeDesignation(label), field: before ? 'catalog_updated' : 'catalog_added', from: before, to: entry });
+        return entry;
+    },
 
-        const totalPresent = Attendance.getGrandTotal(dateStr, areas);
-        Utils.setText(document.getElementById('home-total-present'), totalPresent);
+    async removeEntry(id) {
+        const user = Auth.getCurrentUser();
+        if (!user || user.role !== 'admin') throw new Error('Only admins can edit the catalog');
 
-        let confirmedCount = 0;
-        let totalAreas = 0;
-        const unconfirmedList = document.getElementById('home-unconfirmed-list');
-        if (unconfirmedList) {
-            unconfirmedList.innerHTML = '';
+        const catalog = Storage.getCatalog();
+        const idx = catalog.findIndex(e => e.id === id);
+        if (idx < 0) return;
 
-            areas.forEach(areaName => {
-                const { total, confirmed, rows } = Attendance.getAreaTotals(dateStr, areaName);
-                if (rows > 0) {
-                    totalAreas++;
-                    confirmedCount += confirmed;
+        const [removed] = catalog.splice(idx, 1);
+        await Storage.saveCatalog(catalog);
+        await Audit.log({ designationKey: Utils.normalizeDesignation(removed.label), field: 'catalog_removed', from: removed, to: null });
+    },
 
-                    if (confirmed < rows) {
-                        const chip = document.createElement('div');
-                        chip.className = 'unconfirmed-chip';
-                        Utils.setText(chip, `${areaName} (${confirmed}/${rows})`);
-                        unconfirmedList.appendChild(chip);
-                    }
-                }
+    // Every designation in use across attendance and history, keyed by
+    // designationKey, with how many rows use it.
+    async getUsedDesignations() {
+        const used = {};
+        Object.values(await Storage.getAttendance()).forEach(data => {
+            Object.values(data.areas || {}).forEach(area => {
+                (area.rows || []).forEach(row => {
+                    if (!used[row.designationKey]) used[row.designationKey] = { key: row.designationKey, label: row.designationLabel, rows: 0 };
+                    used[row.designationKey].rows++;
+                });
             });
+        });
+        Storage.getDesignationHistory().global.forEach(label => {
+            const key = Utils.normalizeDesignation(label);
+            if (!used[key]) used[key] = { key, label, rows: 0 };
+        });
+        return Object.values(used).sort((a, b) => a.label.localeCompare(b.label));
+    },
 
-            if (unconfirmedList.children.length === 0) {
-                const empty = document.createElement('div');
-                empty.className = 'unconfirmed-empty';
-                Utils.setText(empty, 'All areas confirmed');
-                unconfirmedList.appendChild(empty);
-            }
-        }
+    // Rewrites every row whose designationKey is in sourceKeys to the target
+    // catalog entry, on all dates. Rows that collide with an existing target
+    // row in the same area are combined (counts added, confirmed only if both
+    // were). Designation history, templates and plans are rewritten too, and
+    // the source labels become aliases of the target. Closed dates are left
+    // as they are and returned in closedDates.
+    async merge(sourceKeys, targetId) {
+        const user = Auth.getCurrentUser();
+        if (!user || user.role !== 'admin') throw new Error('Only admins can merge designations');
 
-        Utils.setText(document.getElementById('home-confirmed-count'), `${confirmedCount} / ${totalAreas || areas.length}`);
+        const catalog = Storage.getCatalog();
+        const target = catalog.find(e => e.id === targetId);
+        if (!target) throw new Error('Target designation not found');
 
-        const tbody = document.querySelector('#home-table tbody');
-        if (tbody) {
-            tbody.innerHTML = '';
-            areas.forEach(areaName => {
-                const { total, confirmed, rows } = Attendance.getAreaTotals(dateStr, areaName);
-                const area = Attendance.getAreaData(dateStr, areaName);
-                const lastUpdate = area.rows.length > 0
-                    ? Math.max(...area.rows.map(r => r.updatedAt || 0))
-                    : null;
+        const targetKey = Utils.normalizeDesignation(target.label);
+        const sources = new Set(sourceKeys.filter(k => k !== targetKey));
+        if (sources.size === 0) throw new Error('Select at least one designation to merge');
 
-                const row = tbody.insertRow();
-                Utils.setText(row.insertCell(), areaName);
-                Utils.setText(row.insertCell(), total);
-                Utils.setText(row.insertCell(), rows > 0 ? `${confirmed}/${rows}` : '-');
-                Utils.setText(row.insertCell(), lastUpdate ? Utils.formatDateTime(lastUpdate) : '-');
-            });
-        }
-    }
-};
+        const now = Date.now();
+        const sourceLabels = new Set();
+        const isAffected = label => {
+            const key = Utils.normalizeDesignation(label);
+            return sources.has(key) || key === targetKey;
+        };
 
-const EntryView = {
-    debounceTimers: {},
+        let rowsChanged = 0;
+        let datesChanged = 0;
+        const closedDates = [];
 
-    init() {
-        const dateInput = document.getElementById('entry-date');
-        if (dateInput) {
+        await Attendance._serial(async () => {
+            const all = await Storage.getAttendance();
+            const changed = {};
+
+            Object.entries(all).forEach(([dateStr, data]) => {
+                const rows = Object.values(data.areas || {}).flatMap(a => a.rows || []);
+                if (!rows.some(r => sources.has(r.designationKey))) return;
+                if (data.status === 'closed') {
+                    closedDates.push(dateStr);
+                    return;
+                }
+
+                Object.values(data.areas || {}).forEach(area => {
+                    let targetRow = (area.rows || []).find(r => r.designationKey === targetKey) || null;
+                    const kept = [];
+
+                    (area.rows || []).forEach(row => {
+                        if (row.designationKey === targetKey) {
+                            row.designationLabel = target.label;
+                            kept.push(row);
+                            return;
+                        }
+                        if (!sources.has(row.designationKey)) {
+                            kept.push(row);
+                            return;
+                        }
+
+                        sourceLabels.add(row.designationLabel);
+                        rowsChanged++;
+
+                        if (targetRow) {
+                            if (typeof row.present === 'number') {
+                                targetRow.present = (typeof targetRow.present === 'number' ? targetRow.present : 0) + row.present;
+                            }
+                            targetRow.confirmed = !!(targetRow.confirmed && row.confirmed);
+                            targetRow.updatedAt = now;
+                            targetRow.updatedBy = user.username;
+                        } else {
+                            row.designationKey = targetKey;
+                            row.designationLabel = target.label;
+                            row.updatedAt = now;
+                            row.updatedBy = user.username;
+                            targetRow = row;
+                            kept.push(row);
+                        }
+                    });
+
+                    area.rows = kept;
+                });
+                datesChanged++;
+                changed[dateStr] = data;
+            });
+
+            for (const [dateStr, data] of Object.entries(changed)) {
+                await Storage.saveAttendanceForDate(dateStr, data);
+            }
+        });
+
+        const rewriteList = list => {
+            const out = [];
+            list.forEach(label => {
+                if (sources.has(Utils.normalizeDesignation(label))) sourceLabels.add(label);
+                const next = isAffected(label) ? target.label : label;
+                if (!out.some(l => Utils.normalizeDesignation(l) === Utils.normalizeDesignation(next))) out.push(next);
+            });
+            return out;
+        };
+
+        const h = Storage.getDesignationHistory();
+        h.global = rewriteList(h.global);
+        Object.keys(h.byArea).forEach(a => { h.byArea[a] = rewriteList(h.byArea[a]); });
+        await Storage.saveDesignationHistory(h);
+
+        const templates = Storage.getTemplates();
+        Object.keys(templates).forEach(a => { templates[a] = rewriteList(templates[a]); });
+        await Storage.saveTemplates(templates);
+
+        const plans = Storage.getPlans();
+        plans.forEach(p => {
+            if (p.designationKey && sources.has(p.designationKey)) {
+                p.designationKey = targetKey;
+                p.designationLabel = target.label;
+            }
+        });
+        // Keep the most recently set plan when two now share area, designation and date
+        const deduped = plans.filter(p => !plans.some(o => o !== p && o.area === p.area &&
+            o.designationKey === p.designationKey && o.effectiveFrom === p.effectiveFrom &&
+            (o.updatedAt > p.updatedAt || (o.updatedAt === p.updatedAt && plans.indexOf(o) > plans.indexOf(p)))));
+        await Storage.savePlans(deduped);
+
+        target.aliases = Array.from(new Set([...(target.aliases || []),
+            ...Array.from(sourceLabels).filter(l => this._looseKey(l) !== this._looseKey(target.label))]));
+        await Storage.saveCatalog(catalog);
+
+        await Audit.log({
+            designationKey: targetKey,
+            field: 'designation_merged',
+            from: Array.from(sources),
+            to: target.label,
+            note: `${rowsChanged} row(s) on ${datesChanged} date(s)` +
+                (closedDates.length > 0 ? `; closed dates left unchanged: ${closedDates.sort().join(', ')}` : '')
+        });
+
+        return { rowsChanged, datesChanged, closedDates };
+    }
+};
+
+// ============================================
+// AUTHENTICATION
+// ============================================
+const Auth = {
+    // Throws if the password is too weak: CONFIG.PASSWORD_MIN_LENGTH or more
+    // characters, at least three of lower case, upper case, digits and
+    // symbols, and not containing the username.
+    validatePassword(password, username) {
+        if (!password || password.length < CONFIG.PASSWORD_MIN_LENGTH) {
+            throw new Error(`Password must be at least ${CONFIG.PASSWORD_MIN_LENGTH} characters`);
+        }
+        const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter(re => re.test(password)).length;
+        if (classes < 3) {
+            throw new Error('Password must use at least three of: lower case, upper case, digits, symbols');
+        }
+        if (username && username.length >= 3 && password.toLowerCase().includes(username.toLowerCase())) {
+            throw new Error('Password must not contain the username');
+        }
+    },
+
+    // Hash settings for new passwords; stored on the user so they can change later.
+    _hashParams() {
+        return { algorithm: 'pbkdf2-sha256', iterations: CONFIG.PASSWORD_HASH_ITERATIONS };
+    },
+
+    // Users saved before hashAlgorithm existed have the old single SHA-256.
+    _userHashParams(user) {
+        return { algorithm: user.hashAlgorithm || 'sha256', iterations: user.hashIterations };
+    },
+
+    async _setPassword(user, password) {
+        const params = this._hashParams();
+        user.salt = await Utils.generateSalt();
+        user.passwordHash = await Utils.hashPassword(password, user.salt, params);
+        user.hashAlgorithm = params.algorithm;
+        user.hashIterations = params.iterations;
+    },
+
+    // `mustChangePassword` is set for temporary passwords handed out by an admin.
+    async createUser(username, password, role, assignedAreas = [], mustChangePassword = false) {
+        const users = Storage.getUsers();
+        if (users.find(u => u.username === username)) {
+            throw new Error('Username already exists');
+        }
+        this.validatePassword(password, username);
+
+        const user = {
+            username,
+            role,
+            assignedAreas,
+            createdAt: Date.now(),
+            disabled: false,
+            mustChangePassword
+        };
+        await this._setPassword(user, password);
+        users.push(user);
+
+        await Storage.saveUsers(users);
+    },
+
+    // Labels for the security log, by event type.
+    SECURITY_EVENTS: {
+        login: 'Signed in',
+        login_failed: 'Sign-in failed',
+        login_blocked: 'Sign-in while locked',
+        lockout: 'Locked out',
+        logout: 'Signed out',
+        password_changed: 'Password changed',
+        session_expired: 'Session expired',
+        session_ended: 'Session ended'
+    },
+
+    // The security log is kept on this device only, newest CONFIG.SECURITY_LOG_MAX events.
+    logSecurityEvent(type, username, note) {
+        const log = Storage.getSecurityLog();
+        log.push({ ts: Date.now(), type, user: username || '', note: note || '' });
+        return Storage.saveSecurityLog(log.slice(-CONFIG.SECURITY_LOG_MAX));
+    },
+
+    // When the cooldown for `username` ends, or null if it is not locked.
+    getLockedUntil(username) {
+        const attempt = Storage.getLoginAttempts()[username];
+        return attempt?.cooldownUntil && Date.now() < attempt.cooldownUntil ? attempt.cooldownUntil : null;
+    },
+
+    async login(username, password) {
+        const lockedUntil = this.getLockedUntil(username);
+        if (lockedUntil) {
+            const remaining = Math.ceil((lockedUntil - Date.now()) / 60000);
+            await this.logSecurityEvent('login_blocked', username);
+            throw new Error(`Account locked. Try again in ${remaining} minute(s).`);
+        }
+
+        const users = Storage.getUsers();
+        const user = users.find(u => u.username === username);
+
+        if (!user) {
+            await this._handleFailedLogin(username, 'Unknown username');
+            throw new Error('Invalid username or password');
+        }
+
+        if (user.disabled) {
+            await this.logSecurityEvent('login_failed', username, 'Account is disabled');
+            throw new Error('Account is disabled');
+        }
+
+        const current = this._userHashParams(user);
+        const hash = await Utils.hashPassword(password, user.salt, current);
+        if (hash !== user.passwordHash) {
+            await this._handleFailedLogin(username, 'Wrong password');
+            throw new Error('Invalid username or password');
+        }
+
+        // Re-hash passwords stored with an older algorithm or fewer iterations
+        const wanted = this._hashParams();
+        if (current.algorithm !== wanted.algorithm || current.iterations < wanted.iterations) {
+            await this._setPassword(user, password);
+            await Storage.saveUsers(users);
+            await Audit.log({
+                user: username,
+                field: 'password_hash_upgraded',
+                target: username,
+                from: current.iterations ? `${current.algorithm} x${current.iterations}` : current.algorithm,
+                to: `${wanted.algorithm} x${wanted.iterations}`
+            });
+        }
+
+        const attempts = Storage.getLoginAttempts();
+        if (attempts[username]) {
+            delete attempts[username];
+            await Storage.saveLoginAttempts(attempts);
+        }
+
+        const lastLogins = Storage.getLastLogins();
+        lastLogins[username] = Date.now();
+        await Storage.saveLastLogins(lastLogins);
+
+        const sess = Storage.getSession();
+        sess.currentUser = username;
+        sess.expiresAt = Date.now() + this.getSessionTimeout();
+        delete sess.locked;
+        // Older versions kept one lockout counter for everybody here
+        delete sess.failedLogin;
+        await Storage.saveSession(sess);
+        await this.logSecurityEvent('login', username);
+    },
+
+    // Counts failures per username. Reaching CONFIG.MAX_LOGIN_ATTEMPTS locks
+    // that username for CONFIG.LOCKOUT_DURATION; once the cooldown is over
+    // the count starts again.
+    async _handleFailedLogin(username, reason) {
+        const now = Date.now();
+        const attempts = Storage.getLoginAttempts();
+
+        // Forget usernames nobody has tried for a day
+        Object.keys(attempts).forEach(name => {
+            if (now - (attempts[name].lastAt || 0) > 24 * 60 * 60 * 1000) delete attempts[name];
+        });
+
+        const attempt = attempts[username] || { count: 0, cooldownUntil: null };
+        if (attempt.cooldownUntil && now >= attempt.cooldownUntil) {
+            attempt.count = 0;
+            attempt.cooldownUntil = null;
+        }
+        attempt.count++;
+        attempt.lastAt = now;
+        attempts[username] = attempt;
+
+        await this.logSecurityEvent('login_failed', username, reason);
+        if (attempt.count >= CONFIG.MAX_LOGIN_ATTEMPTS) {
+            attempt.cooldownUntil = now + CONFIG.LOCKOUT_DURATION;
+            await this.logSecurityEvent('lockout', username, `${attempt.count} failed attempts`);
+        }
+        return Storage.saveLoginAttempts(attempts);
+    },
+
+    // `type` is the security log event: 'logout' or 'session_ended'.
+    logout(type = 'logout') {
+        const sess = Storage.getSession();
+        const username = sess.currentUser;
+        sess.currentUser = null;
+        sess.expiresAt = null;
+        delete sess.locked;
+        return Promise.all([
+            Storage.saveSession(sess),
+            username ? this.logSecurityEvent(type, username) : null
+        ]);
+    },
+
+    // Inactivity timeout in ms; admins set it in minutes (settings.sessionTimeoutMinutes).
+    getSessionTimeout() {
+        const minutes = Storage.getSettings().sessionTimeoutMinutes;
+        return minutes ? minutes * 60000 : CONFIG.SESSION_DURATION;
+    },
+
+    // Sliding session: activity moves expiresAt out again. To keep writes
+    // down it is only saved when it would move by CONFIG.SESSION_TOUCH_INTERVAL
+    // or more, unless `force` is set. An expired session is never extended.
+    touch(force = false) {
+        const sess = Storage.getSession();
+        if (!sess.currentUser || sess.locked || Date.now() > sess.expiresAt) return Promise.resolve();
+
+        const expiresAt = Date.now() + this.getSessionTimeout();
+        if (!force && expiresAt - sess.expiresAt < CONFIG.SESSION_TOUCH_INTERVAL) return Promise.resolve();
+
+        sess.expiresAt = expiresAt;
+        return Storage.saveSession(sess);
+    },
+
+    // An expired session stays with its user but is locked until they enter
+    // their password again (through login).
+    isLocked() {
+        const sess = Storage.getSession();
+        return !!sess.currentUser && (!!sess.locked || (!!sess.expiresAt && Date.now() > sess.expiresAt));
+    },
+
+    lock() {
+        const sess = Storage.getSession();
+        if (!sess.currentUser || sess.locked) return Promise.resolve();
+        sess.locked = true;
+        return Promise.all([
+            Storage.saveSession(sess),
+            this.logSecurityEvent('session_expired', sess.currentUser)
+        ]);
+    },
+
+    getCurrentUser() {
+        const sess = Storage.getSession();
+        if (!sess.currentUser) return null;
+
+        if (this.isLocked()) {
+            this.lock();
+            return null;
+        }
+
+        const users = Storage.getUsers();
+        const user = users.find(u => u.username === sess.currentUser);
+        if (!user || user.disabled) {
+            this.logout('session_ended');
+            return null;
+        }
+
+        return user;
+    },
+
+    isAdmin() {
+        const u = this.getCurrentUser();
+        return u && u.role === 'admin';
+    },
+
+    // Sets a temporary password; the user must choose their own at next login.
+    async resetPassword(username, newPassword) {
+        const users = Storage.getUsers();
+        const user = users.find(u => u.username === username);
+        if (!user) throw new Error('User not found');
+        this.validatePassword(newPassword, username);
+
+        await this._setPassword(user, newPassword);
+        user.mustChangePassword = true;
+        await Storage.saveUsers(users);
+    },
+
+    // The signed-in user changing their own password; also clears mustChangePassword.
+    async changePassword(currentPassword, newPassword) {
+        const username = this.getCurrentUser()?.username;
+        if (!username) throw new Error('Not logged in');
+
+        const users = Storage.getUsers();
+        const user = users.find(u => u.username === username);
+        const hash = await Utils.hashPassword(currentPassword || '', user.salt, this._userHashParams(user));
+        if (hash !== user.passwordHash) {
+            throw new Error('Current password is incorrect');
+        }
+        if (newPassword === currentPassword) {
+            throw new Error('New password must be different from the current one');
+        }
+        this.validatePassword(newPassword, username);
+
+        await this._setPassword(user, newPassword);
+        user.mustChangePassword = false;
+        await Storage.saveUsers(users);
+        await Audit.log({ field: 'password_changed', target: username });
+        await this.logSecurityEvent('password_changed', username);
+    }
+};
+
+// ============================================
+// AUDIT TRAIL
+// ============================================
+// Append-only log covering all dates, stored separately from attendance
+// (the audit store, oldest first). Entries are never trimmed or edited.
+const Audit = {
+    addEntry(dateStr, areaName, designationKey, field, oldVal, newVal) {
+        return this.log({ date: dateStr, area: areaName, designationKey, field, from: oldVal, to: newVal });
+    },
+
+    // Generic entry. `date` is the attendance date affected (null for admin
+    // actions), `target` names the user an admin action was applied to,
+    // `note` holds a free-text reason. `from`/`to` may be plain values or
+    // JSON snapshots of the before/after state.
+    async log(fields) {
+        const user = fields.user || Auth.getCurrentUser()?.username;
+        if (!user) return;
+
+        await Storage.appendAudit([{
+            id: Utils.generateId(),
+            ts: Date.now(),
+            date: null,
+            area: null,
+            designationKey: null,
+            target: null,
+            from: null,
+            to: null,
+            note: null,
+            ...fields,
+            user
+        }]);
+    },
+
+    getEntries(dateStr) {
+        return this.query({ from: dateStr, to: dateStr });
+    },
+
+    // Filters: from/to (YYYY-MM-DD, inclusive), user, area, field (exact),
+    // designation (substring), areas (restrict to a list), attendanceOnly
+    // (skip admin actions). Entries without an attendance date are matched
+    // by the day they were recorded. Newest first.
+    async query(filters = {}) {
+        const designation = filters.designation ? Utils.normalizeDesignation(filters.designation) : '';
+
+        return (await Storage.getAudit()).filter(e => {
+            const day = e.date || Utils.formatDate(e.ts);
+            if (filters.attendanceOnly && !e.date) return false;
+            if (filters.from && day < filters.from) return false;
+            if (filters.to && day > filters.to) return false;
+            if (filters.user && e.user !== filters.user) return false;
+            if (filters.area && e.area !== filters.area) return false;
+            if (filters.areas && !filters.areas.includes(e.area)) return false;
+            if (filters.field && e.field !== filters.field) return false;
+            if (designation && !(e.designationKey || '').includes(designation)) return false;
+            return true;
+        }).reverse();
+    },
+
+    async getDistinct(prop) {
+        const values = new Set();
+        (await Storage.getAudit()).forEach(e => {
+            if (e[prop] !== undefined && e[prop] !== null && e[prop] !== '') values.add(e[prop]);
+        });
+        return Array.from(values).sort();
+    },
+
+    formatValue(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    },
+
+    describe(entry) {
+        let subject = entry.area || '';
+        if (entry.designationKey) subject += ` (${entry.designationKey})`;
+        if (entry.target) subject += `${subject ? ' ' : ''}user ${entry.target}`;
+        const when = entry.date ? ` on ${entry.date}` : '';
+        const from = this.formatValue(entry.from) || '∅';
+        const to = this.formatValue(entry.to) || '∅';
+        const note = entry.note ? ` (${entry.note})` : '';
+        return `${entry.user} ${entry.field}${subject ? ' ' + subject : ''}${when}: ${from} → ${to}${note}`;
+    }
+};
+
+// ============================================
+// ATTENDANCE WITH DESIGNATIONS
+// ============================================
+const Attendance = {
+    _pending: Promise.resolve(),
+
+    // Each edit reads a whole date and writes it back, so edits run one at a
+    // time; otherwise two quick changes could both start from the old record.
+    // The Web Locks API extends this to edits made in other tabs.
+    _serial(fn) {
+        const locked = () => (navigator.locks ? navigator.locks.request('hc_attendance', fn) : fn());
+        const run = this._pending.then(locked);
+        this._pending = run.catch(() => {});
+        return run;
+    },
+
+    async getAreaData(dateStr, areaName) {
+        const data = await Storage.getAttendanceForDate(dateStr);
+        return data.areas[areaName] || { rows: [] };
+    },
+
+    async getRow(dateStr, areaName, designationKey) {
+        const area = await this.getAreaData(dateStr, areaName);
+        return area.rows.find(r => r.designationKey === designationKey);
+    },
+
+    addOrUpdateRow(dateStr, areaName, designationLabel) {
+        const user = Auth.getCurrentUser();
+        if (!user) return Promise.resolve();
+
+        return this._serial(async () => {
+            designationLabel = Catalog.validate(designationLabel);
+            const designationKey = Utils.normalizeDesignation(designationLabel);
+            const data = await Storage.getAttendanceForDate(dateStr);
+            this._assertOpen(dateStr, data);
+
+            if (!data.areas[areaName]) {
+                data.areas[areaName] = { rows: [] };
+            }
+
+            let row = data.areas[areaName].rows.find(r => r.designationKey === designationKey);
+            const added = !row;
+            if (added) {
+                row = {
+                    designationKey,
+                    designationLabel,
+                    present: null,
+                    confirmed: false,
+                    updatedAt: null,
+                    updatedBy: null
+                };
+                data.areas[areaName].rows.push(row);
+            }
+
+            data.updatedAt = Date.now();
+            data.updatedBy = user.username;
+            await Storage.saveAttendanceForDate(dateStr, data);
+
+            if (added) {
+                await DesignationMgr.addToHistory(designationLabel, areaName);
+                await Audit.addEntry(dateStr, areaName, designationKey, 'row_added', null, this._snapshot(row));
+            }
+
+            return row;
+        });
+    },
+
+    // With expectedUpdatedAt (the row's updatedAt when it was shown), a row
+    // changed since then by another tab or device is not overwritten: the
+    // error carries the stored row as err.conflict. Resolves with the saved row.
+    updateRow(dateStr, areaName, designationKey, updates, expectedUpdatedAt) {
+        const user = Auth.getCurrentUser();
+        if (!user) return Promise.resolve();
+
+        return this._serial(async () => {
+            const data = await Storage.getAttendanceForDate(dateStr);
+            this._assertOpen(dateStr, data);
+
+            const row = data.areas[areaName]?.rows.find(r => r.designationKey === designationKey);
+            if (!row) {
+                if (expectedUpdatedAt !== undefined) throw new Error(`This row was removed from ${areaName} elsewhere`);
+                return;
+            }
+
+            if (expectedUpdatedAt !== undefined && row.updatedAt !== expectedUpdatedAt) {
+                const err = new Error(`${row.designationLabel} in ${areaName} was changed by ${row.updatedBy} at ${Utils.formatDateTime(row.updatedAt)}`);
+                err.conflict = { ...row };
+                throw err;
+            }
+
+            const oldRow = { ...row };
+
+            Object.assign(row, updates, { updatedAt: Date.now(), updatedBy: user.username });
+            data.updatedAt = Date.now();
+            data.updatedBy = user.username;
+
+            await Storage.saveAttendanceForDate(dateStr, data);
+
+            if ('present' in updates && updates.present !== oldRow.present) {
+                await Audit.addEntry(dateStr, areaName, designationKey, 'present', oldRow.present, updates.present);
+            }
+
+            if ('confirmed' in updates && updates.confirmed !== oldRow.confirmed) {
+                await Audit.addEntry(dateStr, areaName, designationKey, 'confirmed', oldRow.confirmed, updates.confirmed);
+            }
+
+            return { ...row };
+        });
+    },
+
+    deleteRow(dateStr, areaName, designationKey) {
+        const user = Auth.getCurrentUser();
+        if (!user) return Promise.resolve();
+
+        return this._serial(async () => {
+            const data = await Storage.getAttendanceForDate(dateStr);
+            this._assertOpen(dateStr, data);
+            if (!data.areas[areaName]) return;
+
+            const idx = data.areas[areaName].rows.findIndex(r => r.designationKey === designationKey);
+            if (idx >= 0) {
+                const [removed] = data.areas[areaName].rows.splice(idx, 1);
+                data.updatedAt = Date.now();
+                data.updatedBy = user.username;
+                await Storage.saveAttendanceForDate(dateStr, data);
+                await Audit.addEntry(dateStr, areaName, designationKey, 'row_deleted', this._snapshot(removed), null);
+            }
+        });
+    },
+
+    // Removes every row of an area in one write and records a single audit
+    // entry holding the rows that were removed.
+    clearArea(dateStr, areaName) {
+        const user = Auth.getCurrentUser();
+        if (!user) return Promise.resolve(0);
+
+        return this._serial(async () => {
+            const data = await Storage.getAttendanceForDate(dateStr);
+            this._assertOpen(dateStr, data);
+            const rows = data.areas[areaName]?.rows || [];
+            if (rows.length === 0) return 0;
+
+            data.areas[areaName].rows = [];
+            data.updatedAt = Date.now();
+            data.updatedBy = user.username;
+            await Storage.saveAttendanceForDate(dateStr, data);
+
+            await Audit.addEntry(dateStr, areaName, null, 'area_cleared', rows.map(r => this._snapshot(r)), []);
+            return rows.length;
+        });
+    },
+
+    // Day close-out. A date is 'open' until an admin closes it; a reopened
+    // date is editable again but keeps the reason in the audit trail.
+    async getDayStatus(dateStr) {
+        return (await Storage.getAttendanceForDate(dateStr)).status || 'open';
+    },
+
+    async isClosed(dateStr) {
+        return (await this.getDayStatus(dateStr)) === 'closed';
+    },
+
+    _assertOpen(dateStr, data) {
+        if (data.status === 'closed') {
+            throw new Error(`${dateStr} is closed. An admin must reopen it before making changes.`);
+        }
+    },
+
+    async getCloseBlockers(dateStr) {
+        const data = await Storage.getAttendanceForDate(dateStr);
+        const rows = Object.values(data.areas).flatMap(a => a.rows || []);
+        if (rows.length === 0) return 'No rows have been entered for this date';
+
+        const unconfirmedAreas = Object.entries(data.areas)
+            .filter(([, a]) => (a.rows || []).some(r => !r.confirmed))
+            .map(([name]) => name);
+        if (unconfirmedAreas.length > 0) return `Not all areas are confirmed: ${unconfirmedAreas.join(', ')}`;
+
+        return null;
+    },
+
+    closeDay(dateStr) {
+        const user = Auth.getCurrentUser();
+        if (!user || user.role !== 'admin') return Promise.reject(new Error('Only admins can close a day'));
+
+        return this._serial(async () => {
+            const data = await Storage.getAttendanceForDate(dateStr);
+            if (data.status === 'closed') throw new Error(`${dateStr} is already closed`);
+
+            const blocker = await this.getCloseBlockers(dateStr);
+            if (blocker) throw new Error(blocker);
+
+            const before = data.status || 'open';
+            data.status = 'closed';
+            data.closedAt = Date.now();
+            data.closedBy = user.username;
+            await Storage.saveAttendanceForDate(dateStr, data);
+
+            await Audit.log({ date: dateStr, field: 'day_status', from: before, to: 'closed' });
+        });
+    },
+
+    reopenDay(dateStr, reason) {
+        const user = Auth.getCurrentUser();
+        if (!user || user.role !== 'admin') return Promise.reject(new Error('Only admins can reopen a day'));
+
+        const note = (reason || '').trim();
+        if (!note) return Promise.reject(new Error('A reason is required to reopen a day'));
+
+        return this._serial(async () => {
+            const data = await Storage.getAttendanceForDate(dateStr);
+            if (data.status !== 'closed') throw new Error(`${dateStr} is not closed`);
+
+            data.status = 'reopened';
+            data.reopenedAt = Date.now();
+            data.reopenedBy = user.username;
+            data.reopenReason = note;
+            await Storage.saveAttendanceForDate(dateStr, data);
+
+            await Audit.log({ date: dateStr, field: 'day_status', from: 'closed', to: 'reopened', note });
+        });
+    },
+
+    // Most recent date before dateStr with at least one row in any of `areas`.
+    async findPreviousDate(dateStr, areas) {
+        const dates = (await Storage.getAttendanceDates()).filter(d => d < dateStr).sort().reverse();
+        for (const d of dates) {
+            const data = await Storage.getAttendanceForDate(d);
+            if (areas.some(a => data.areas?.[a]?.rows?.length > 0)) return d;
+        }
+        return null;
+    },
+
+    // Copies designation rows from sourceDate into targetDate for the given
+    // areas. Rows that already exist on the target are left alone; copied rows
+    // always start unconfirmed. Goes through addOrUpdateRow/updateRow so the
+    // audit trail and designation history see every row.
+    async copyFromDate(sourceDate, targetDate, areas, withCounts) {
+        const source = (await Storage.getAttendanceRange(sourceDate, sourceDate))[sourceDate];
+        if (!source) return 0;
+
+        let copied = 0;
+        let skipped = 0;
+        for (const areaName of areas) {
+            for (const srcRow of source.areas?.[areaName]?.rows || []) {
+                const key = Utils.normalizeDesignation(Catalog.canonicalize(srcRow.designationLabel));
+                if (await this.getRow(targetDate, areaName, key)) continue;
+
+                let row;
+                try {
+                    row = await this.addOrUpdateRow(targetDate, areaName, srcRow.designationLabel);
+                } catch (err) {
+                    if (await Attendance.isClosed(targetDate)) throw err;
+                    skipped++;
+                    continue;
+                }
+                if (withCounts && srcRow.present !== null) {
+                    await this.updateRow(targetDate, areaName, row.designationKey, { present: srcRow.present });
+                }
+                copied++;
+            }
+        }
+
+        return { copied, skipped };
+    },
+
+    _snapshot(row) {
+        return {
+            designation: row.designationLabel,
+            present: row.present,
+            confirmed: row.confirmed
+        };
+    },
+
+    async getAreaTotals(dateStr, areaName) {
+        const area = await this.getAreaData(dateStr, areaName);
+        const total = area.rows.reduce((sum, r) => sum + (typeof r.present === 'number' ? r.present : 0), 0);
+        const confirmed = area.rows.filter(r => r.confirmed).length;
+        return { total, confirmed, rows: area.rows.length };
+    },
+
+    async getGrandTotal(dateStr, areas) {
+        const data = await Storage.getAttendanceForDate(dateStr);
+        return areas.reduce((sum, areaName) =>
+            sum + (data.areas[areaName]?.rows || []).reduce((s, r) => s + (typeof r.present === 'number' ? r.present : 0), 0), 0);
+    }
+};
+
+// ============================================
+// AREA DAY TEMPLATES
+// ============================================
+// Admin-defined default designations per area (hc_templates). They are
+// added as empty, unconfirmed rows the first time an area is opened for
+// today with nothing recorded for that area.
+const Templates = {
+    get(areaName) {
+        return Storage.getTemplates()[areaName] || [];
+    },
+
+    async save(areaName, labels) {
+        const user = Auth.getCurrentUser();
+        if (!user || user.role !== 'admin') throw new Error('Only admins can edit templates');
+
+        const templates = Storage.getTemplates();
+        const before = templates[areaName] || [];
+
+        const seen = new Set();
+        const clean = labels
+            .map(l => l.trim().replace(/\s+/g, ' '))
+            .filter(l => {
+                const key = l && Utils.normalizeDesignation(l);
+                if (!key || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+
+        if (clean.length > 0) {
+            templates[areaName] = clean;
+        } else {
+            delete templates[areaName];
+        }
+        await Storage.saveTemplates(templates);
+        await Audit.log({ field: 'template_updated', area: areaName, from: before, to: clean });
+
+        return clean;
+    },
+
+    // Only for today: browsing other dates in the Entry view must not create records.
+    async applyToEmptyAreas(dateStr, areas) {
+        if (dateStr !== Utils.getTodayString()) return 0;
+
+        const data = await Storage.getAttendanceForDate(dateStr);
+        if (data.status === 'closed') return 0;
+
+        let added = 0;
+        for (const areaName of areas) {
+            if (data.areas[areaName]) continue;
+            for (const label of this.get(areaName)) {
+                try {
+                    await Attendance.addOrUpdateRow(dateStr, areaName, label);
+                    added++;
+                } catch (err) {
+                    // Template entries no longer in a strict catalog are skipped
+                }
+            }
+        }
+
+        return added;
+    }
+};
+
+// ============================================
+// MANPOWER PLAN
+// ============================================
+// Planned headcount entries (hc_plans), each effective from a date until a
+// later entry for the same area/designation replaces it. An area-level plan
+// (designationKey null) takes precedence; otherwise the area's plan is the
+// sum of its designation plans.
+const Plans = {
+    async setPlan(areaName, designationLabel, planned, effectiveFrom) {
+        const user = Auth.getCurrentUser();
+        if (!user || user.role !== 'admin') throw new Error('Only admins can set the manpower plan');
+        if (!Number.isInteger(planned) || planned < 0) throw new Error('Planned headcount must be a whole number, 0 or more');
+        if (!effectiveFrom) throw new Error('Effective-from date required');
+
+        const label = (designationLabel || '').trim();
+        const designationKey = label ? Utils.normalizeDesignation(label) : null;
+
+        const plans = Storage.getPlans();
+        const idx = plans.findIndex(p => p.area === areaName && p.designationKey === designationKey && p.effectiveFrom === effectiveFrom);
+        const before = idx >= 0 ? plans[idx].planned : null;
+
+        const entry = {
+            id: idx >= 0 ? plans[idx].id : Utils.generateId(),
+            area: areaName,
+            designationKey,
+            designationLabel: label || null,
+            planned,
+            effectiveFrom,
+            updatedAt: Date.now(),
+            updatedBy: user.username
+        };
+        if (idx >= 0) plans[idx] = entry; else plans.push(entry);
+        await Storage.savePlans(plans);
+
+        await Audit.log({ area: areaName, designationKey, field: 'plan_set', from: before, to: planned, note: `effective from ${effectiveFrom}` });
+    },
+
+    async removePlan(id) {
+        const user = Auth.getCurrentUser();
+        if (!user || user.role !== 'admin') throw new Error('Only admins can remove a plan');
+
+        const plans = Storage.getPlans();
+        const idx = plans.findIndex(p => p.id === id);
+        if (idx < 0) return;
+
+        const [removed] = plans.splice(idx, 1);
+        await Storage.savePlans(plans);
+        await Audit.log({ area: removed.area, designationKey: removed.designationKey, field: 'plan_removed', from: removed.planned, to: null, note: `effective from ${removed.effectiveFrom}` });
+    },
+
+    _effective(plans, dateStr, areaName, designationKey) {
+        return plans
+            .filter(p => p.area === areaName && p.designationKey === designationKey && p.effectiveFrom <= dateStr)
+            .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom))[0] || null;
+    },
+
+    getDesignationPlans(dateStr, areaName) {
+        const plans = Storage.getPlans();
+        const keys = new Set(plans.filter(p => p.area === areaName && p.designationKey).map(p => p.designationKey));
+
+        const result = {};
+        keys.forEach(key => {
+            const plan = this._effective(plans, dateStr, areaName, key);
+            if (plan) result[key] = plan.planned;
+        });
+        return result;
+    },
+
+    getAreaPlan(dateStr, areaName) {
+        const areaPlan = this._effective(Storage.getPlans(), dateStr, areaName, null);
+        if (areaPlan) return areaPlan.planned;
+
+        const byDesignation = Object.values(this.getDesignationPlans(dateStr, areaName));
+        return byDesignation.length > 0 ? byDesignation.reduce((sum, v) => sum + v, 0) : null;
+    },
+
+    getThresholdPct() {
+        const pct = Storage.getSettings().understaffThresholdPct;
+        return typeof pct === 'number' ? pct : CONFIG.DEFAULT_UNDERSTAFF_THRESHOLD_PCT;
+    },
+
+    // Planned vs actual for one area. variance = actual - planned; an area is
+    // understaffed when it is short by more than the threshold percentage.
+    async getVariance(dateStr, areaName) {
+        const { total } = await Attendance.getAreaTotals(dateStr, areaName);
+        return this._variance(this.getAreaPlan(dateStr, areaName), total);
+    },
+
+    // Rolled-up variance for a group of areas. Only areas with a plan count
+    // towards planned and actual, so unplanned areas don't hide a shortfall.
+    async getGroupVariance(dateStr, areas) {
+        let planned = null;
+        let actual = 0;
+        for (const areaName of areas) {
+            const v = await this.getVariance(dateStr, areaName);
+            if (v.planned !== null) {
+                planned = (planned || 0) + v.planned;
+                actual += v.actual;
+            }
+        }
+        return this._variance(planned, actual);
+    },
+
+    _variance(planned, actual) {
+        if (planned === null) {
+            return { planned: null, actual, variance: null, variancePct: null, understaffed: false };
+        }
+
+        const variance = actual - planned;
+        const variancePct = planned > 0 ? Math.round((variance / planned) * 1000) / 10 : null;
+        const understaffed = variancePct !== null && variancePct < -this.getThresholdPct();
+        return { planned, actual, variance, variancePct, understaffed };
+    },
+
+    formatVariance(v) {
+        if (v.variance === null) return '-';
+        const sign = v.variance > 0 ? '+' : '';
+        const pct = v.variancePct !== null ? ` (${v.variancePct > 0 ? '+' : ''}${v.variancePct}%)` : '';
+        return `${sign}${v.variance}${pct}`;
+    }
+};
+
+// ============================================
+// AREA MANAGEMENT
+// ============================================
+// hc_areas holds the active areas in display order; archived areas move to
+// hc_archived_areas. Archived areas are hidden from entry but their records
+// stay in attendance and still appear in reports and exports.
+//
+// Areas can also sit in a hierarchy of groups (hc_area_groups): level names
+// (Site, Zone, ...), groups with a parent one level up, and a map of area
+// name to group id. Ungrouped areas sit at the top. Users can be granted a
+// whole group with a "group:<id>" entry in assignedAreas.
+const Areas = {
+    GROUP_PREFIX: 'group:',
+
+    // Active areas the user can enter data for, in display order.
+    getActive(user) {
+        const areas = Storage.getAreas();
+        if (!user || user.role === 'admin') return areas;
+        const allowed = this.expandAssigned(user.assignedAreas);
+        return areas.filter(a => allowed.includes(a));
+    },
+
+    // Active areas, then archived areas that have rows on any of the given
+    // dates (any date when dates is omitted).
+    async getReportAreas(user, dates) {
+        const active = Storage.getAreas();
+        let archived = Storage.getArchivedAreas().filter(a => !active.includes(a));
+        if (archived.length > 0) {
+            const all = dates && dates.length === 1
+                ? { [dates[0]]: await Storage.getAttendanceForDate(dates[0]) }
+                : await Storage.getAttendance();
+            const dateList = dates || Object.keys(all);
+            archived = archived.filter(a => dateList.some(d => all[d]?.areas?.[a]?.rows?.length > 0));
+        }
+
+        const areas = [...active, ...archived];
+        if (!user || user.role === 'admin') return areas;
+        const allowed = this.expandAssigned(user.assignedAreas);
+        return areas.filter(a => allowed.includes(a));
+    },
+
+    // Resolves "group:<id>" grants to the areas (active or archived) below
+    // that group at any depth. Plain area names pass through.
+    expandAssigned(assigned) {
+        const { areaGroup } = Storage.getAreaGroups();
+        const result = new Set();
+        (assigned || []).forEach(entry => {
+            if (!entry.startsWith(this.GROUP_PREFIX)) {
+                result.add(entry);
+                return;
+            }
+            const groupId = entry.slice(this.GROUP_PREFIX.length);
+            Object.keys(areaGroup).forEach(area => {
+                if (this.getGroupChain(areaGroup[area]).some(g => g.id === groupId)) result.add(area);
+            });
+        });
+        return Array.from(result);
+    },
+
+    describeAssigned(assigned) {
+        return (assigned || []).map(entry => {
+            if (!entry.startsWith(this.GROUP_PREFIX)) return entry;
+            const group = Storage.getAreaGroups().groups.find(g => g.id === entry.slice(this.GROUP_PREFIX.length));
+            return group ? `${this.getLevelName(group)}: ${group.name}` : entry;
+        }).join(', ');
+    },
+
+    // Groups from the given one up to the top level, nearest first.
+    getGroupChain(groupId) {
+        const { groups } = Storage.getAreaGroups();
+        const chain = [];
+        let group = groups.find(g => g.id === groupId);
+        while (group && !chain.includes(group)) {
+            chain.push(group);
+            group = groups.find(g => g.id === group.parentId);
+        }
+        return chain;
+    },
+
+    getGroupPath(groupId) {
+        return this.getGroupChain(groupId).reverse().map(g => g.name).join(' / ');
+    },
+
+    getLevelName(group) {
+        return Storage.getAreaGroups().levels[group.level] || `Level ${group.level + 1}`;
+    },
+
+    // Nests the given areas, kept in their order, under their groups. A group
+    // appears where its first area does. Returns a flat pre-order list of
+    // { type: 'group', group, depth, areas } and { type: 'area', name, depth },
+    // where a group's areas are every area below it at any depth.
+    getRows(areas) {
+        const { groups, areaGroup } = Storage.getAreaGroups();
+        const byId = {};
+        groups.forEach(g => { byId[g.id] = g; });
+
+        const root = { children: [] };
+        const nodes = {};
+        const nodeFor = id => {
+            const group = byId[id];
+            if (!group) return root;
+            if (!nodes[id]) {
+                nodes[id] = { group, children: [], areas: [] };
+                nodeFor(group.parentId).children.push(nodes[id]);
+            }
+            return nodes[id];
+        };
+
+        areas.forEach(name => {
+            nodeFor(areaGroup[name]).children.push({ name });
+            this.getGroupChain(areaGroup[name]).forEach(g => nodes[g.id].areas.push(name));
+        });
+
+        const rows = [];
+        const walk = (node, depth) => node.children.forEach(child => {
+            if (child.group) {
+                rows.push({ type: 'group', group: child.group, depth, areas: child.areas });
+                walk(child, depth + 1);
+            } else {
+                rows.push({ type: 'area', name: child.name, depth });
+            }
+        });
+        walk(root, 0);
+        return rows;
+    },
+
+    async saveLevels(names) {
+        this._assertAdmin();
+        const config = Storage.getAreaGroups();
+        const levels = names.map(n => n.trim()).filter(Boolean);
+        if (levels.length === 0) throw new Error('At least one level is required');
+
+        const deepest = Math.max(-1, ...config.groups.map(g => g.level));
+        if (deepest >= levels.length) throw new Error(`Groups exist at level ${deepest + 1}; keep at least ${deepest + 1} levels`);
+
+        const before = config.levels;
+        config.levels = levels;
+        await Storage.saveAreaGroups(config);
+        await Audit.log({ field: 'area_levels', from: before, to: levels });
+    },
+
+    // Adds or updates a group. A top-level group has no parent; any other
+    // group's parent must sit exactly one level above it.
+    async saveGroup({ id, name, level, parentId }) {
+        this._assertAdmin();
+        const config = Storage.getAreaGroups();
+        const clean = (name || '').trim().replace(/\s+/g, ' ');
+        if (!clean) throw new Error('Name required');
+        if (!Number.isInteger(level) || level < 0 || level >= config.levels.length) throw new Error('Unknown level');
+
+        const parent = parentId ? config.groups.find(g => g.id === parentId) : null;
+        if (level === 0 && parent) throw new Error(`A ${config.levels[0]} has no parent`);
+        if (level > 0 && (!parent || parent.level !== level - 1)) {
+            throw new Error(`Choose a ${config.levels[level - 1]} for this ${config.levels[level]}`);
+        }
+        if (config.groups.some(g => g.id !== id && g.parentId === (parent?.id || null) && g.name.toLowerCase() === clean.toLowerCase())) {
+            throw new Error('Already exists');
+        }
+
+        const existing = id ? config.groups.find(g => g.id === id) : null;
+        if (existing && existing.level !== level && config.groups.some(g => g.parentId === existing.id)) {
+            throw new Error('Move or remove its sub-groups before changing its level');
+        }
+
+        const group = { id: existing?.id || Utils.generateId(), name: clean, level, parentId: parent?.id || null };
+        const before = existing ? { ...existing } : null;
+        if (existing) Object.assign(existing, group);
+        else config.groups.push(group);
+
+        await Storage.saveAreaGroups(config);
+        await Audit.log({ field: 'area_group_saved', from: before, to: group });
+        return group;
+    },
+
+    // Removes a group that has no sub-groups. Its areas move up to its parent,
+    // and users granted the group are granted its areas directly instead.
+    async removeGroup(id) {
+        this._assertAdmin();
+        const config = Storage.getAreaGroups();
+        const group = config.groups.find(g => g.id === id);
+        if (!group) return;
+        if (config.groups.some(g => g.parentId === id)) throw new Error('Remove its sub-groups first');
+
+        const grant = this.GROUP_PREFIX + id;
+        const users = Storage.getUsers();
+        users.forEach(u => {
+            if ((u.assignedAreas || []).includes(grant)) {
+                const expanded = this.expandAssigned([grant]);
+                u.assignedAreas = Array.from(new Set([...u.assignedAreas.filter(a => a !== grant), ...expanded]));
+            }
+        });
+
+        Object.keys(config.areaGroup).forEach(area => {
+            if (config.areaGroup[area] !== id) return;
+            if (group.parentId) config.areaGroup[area] = group.parentId;
+            else delete config.areaGroup[area];
+        });
+        config.groups = config.groups.filter(g => g.id !== id);
+
+        await Storage.transaction(async () => {
+            await Storage.saveUsers(users);
+            await Storage.saveAreaGroups(config);
+            await Audit.log({ field: 'area_group_removed', from: group, to: null });
+        });
+    },
+
+    async setAreaGroup(areaName, groupId) {
+        this._assertAdmin();
+        const config = Storage.getAreaGroups();
+        if (groupId && !config.groups.some(g => g.id === groupId)) throw new Error('Unknown group');
+
+        const before = config.areaGroup[areaName] || null;
+        if (groupId) config.areaGroup[areaName] = groupId;
+        else delete config.areaGroup[areaName];
+
+        await Storage.saveAreaGroups(config);
+        await Audit.log({
+            field: 'area_group_set',
+            area: areaName,
+            from: before ? this.getGroupPath(before) || before : null,
+            to: groupId ? this.getGroupPath(groupId) : null
+        });
+    },
+
+    isArchived(name) {
+        return Storage.getArchivedAreas().includes(name);
+    },
+
+    _assertAdmin() {
+        const user = Auth.getCurrentUser();
+        if (!user || user.role !== 'admin') throw new Error('Only admins can manage areas');
+    },
+
+    // Renames the area everywhere it is referenced: area lists, attendance on
+    // every date, user assignments, designation history, templates and plans.
+    // Audit entries keep the name that was current when they were written.
+    // Closed dates keep the old name and are returned in closedDates.
+    async rename(oldName, newName) {
+        this._assertAdmin();
+        const name = (newName || '').trim();
+        if (!name) throw new Error('Name required');
+        if (name === oldName) return;
+
+        const active = Storage.getAreas();
+        const archived = Storage.getArchivedAreas();
+        if (!active.includes(oldName) && !archived.includes(oldName)) throw new Error(`Unknown area "${oldName}"`);
+        if (active.includes(name) || archived.includes(name)) throw new Error('Already exists');
+
+        const swap = list => list.map(a => (a === oldName ? name : a));
+        const rekey = obj => {
+            if (obj && Object.prototype.hasOwnProperty.call(obj, oldName)) {
+                obj[name] = obj[oldName];
+                delete obj[oldName];
+            }
+        };
+
+        let datesChanged = 0;
+        const closedDates = [];
+
+        await Attendance._serial(async () => {
+            const changed = {};
+            for (const dateStr of await Storage.getAttendanceDates()) {
+                const data = await Storage.getAttendanceForDate(dateStr);
+                if (data.areas?.[name]) throw new Error(`Records already exist under "${name}"`);
+                if (!data.areas?.[oldName]) continue;
+                if (data.status === 'closed') {
+                    closedDates.push(dateStr);
+                    continue;
+                }
+                rekey(data.areas);
+                changed[dateStr] = data;
+            }
+
+            const users = Storage.getUsers();
+            users.forEach(u => { u.assignedAreas = swap(u.assignedAreas || []); });
+
+            const history = Storage.getDesignationHistory();
+            rekey(history.byArea);
+
+            const templates = Storage.getTemplates();
+            rekey(templates);
+
+            const plans = Storage.getPlans();
+            plans.forEach(p => { if (p.area === oldName) p.area = name; });
+
+            const groups = Storage.getAreaGroups();
+            rekey(groups.areaGroup);
+
+            await Storage.transaction(async () => {
+                await Storage.saveAreas(swap(Storage.getAreas()));
+                await Storage.saveArchivedAreas(swap(Storage.getArchivedAreas()));
+                for (const [dateStr, data] of Object.entries(changed)) {
+                    await Storage.saveAttendanceForDate(dateStr, data);
+                    datesChanged++;
+                }
+                await Storage.saveUsers(users);
+                await Storage.saveDesignationHistory(history);
+                await Storage.saveTemplates(templates);
+                await Storage.savePlans(plans);
+                await Storage.saveAreaGroups(groups);
+                await Audit.log({
+                    field: 'area_renamed',
+                    area: name,
+                    from: oldName,
+                    to: name,
+                    note: `${datesChanged} date(s)` +
+                        (closedDates.length > 0 ? `; closed dates left under the old name: ${closedDates.sort().join(', ')}` : '')
+                });
+            });
+        });
+
+        return { datesChanged, closedDates };
+    },
+
+    async archive(name) {
+        this._assertAdmin();
+        const active = Storage.getAreas();
+        const idx = active.indexOf(name);
+        if (idx < 0) throw new Error(`Unknown area "${name}"`);
+
+        const archived = Storage.getArchivedAreas();
+        active.splice(idx, 1);
+        if (!archived.includes(name)) archived.push(name);
+
+        await Storage.transaction(async () => {
+            await Storage.saveAreas(active);
+            await Storage.saveArchivedAreas(archived);
+            await Audit.log({ field: 'area_archived', area: name, from: { position: idx }, to: null });
+        });
+    },
+
+    async restore(name) {
+        this._assertAdmin();
+        const archived = Storage.getArchivedAreas();
+        if (!archived.includes(name)) throw new Error(`"${name}" is not archived`);
+
+        const active = Storage.getAreas();
+        if (!active.includes(name)) active.push(name);
+
+        await Storage.transaction(async () => {
+            await Storage.saveAreas(active);
+            await Storage.saveArchivedAreas(archived.filter(a => a !== name));
+            await Audit.log({ field: 'area_restored', area: name, from: null, to: { position: active.length - 1 } });
+        });
+    },
+
+    // Moves an active area up (delta < 0) or down (delta > 0) the list.
+    async move(name, delta) {
+        this._assertAdmin();
+        const areas = Storage.getAreas();
+        const from = areas.indexOf(name);
+        const to = from + delta;
+        if (from < 0 || to < 0 || to >= areas.length) return;
+
+        areas.splice(from, 1);
+        areas.splice(to, 0, name);
+        await Storage.saveAreas(areas);
+        await Audit.log({ field: 'area_reordered', area: name, from: from, to: to });
+    },
+
+    // Areas deleted before archiving existed left their records behind in
+    // attendance. List them as archived so that history shows up again.
+    async adoptOrphans() {
+        const known = new Set([...Storage.getAreas(), ...Storage.getArchivedAreas()]);
+        const orphans = new Set();
+        Object.values(await Storage.getAttendance()).forEach(data => {
+            Object.entries(data.areas || {}).forEach(([area, areaData]) => {
+                if (!known.has(area) && areaData.rows?.length > 0) orphans.add(area);
+            });
+        });
+        if (orphans.size > 0) {
+            await Storage.saveArchivedAreas([...Storage.getArchivedAreas(), ...Array.from(orphans).sort()]);
+        }
+    }
+};
+
+// ============================================
+// TRENDS
+// ============================================
+const Trends = {
+    // Daily series for a date range. Days with no rows at all are null so
+    // charts show a gap instead of a false zero.
+    async getSeries(fromStr, toStr, areas) {
+        const all = await Storage.getAttendanceRange(fromStr, toStr);
+        const dates = Utils.getDateRange(fromStr, toStr);
+
+        const totals = [];
+        const byArea = {};
+        const byDesignation = {};
+        areas.forEach(a => { byArea[a] = dates.map(() => 0); });
+
+        dates.forEach((dateStr, i) => {
+            const data = all[dateStr];
+            let hasRows = false;
+            let total = 0;
+
+            areas.forEach(areaName => {
+                (data?.areas?.[areaName]?.rows || []).forEach(row => {
+                    hasRows = true;
+                    const present = typeof row.present === 'number' ? row.present : 0;
+                    total += present;
+                    byArea[areaName][i] += present;
+
+                    if (!byDesignation[row.designationKey]) {
+                        byDesignation[row.designationKey] = { label: row.designationLabel, values: dates.map(() => 0), total: 0 };
+                    }
+                    byDesignation[row.designationKey].values[i] += present;
+                    byDesignation[row.designationKey].total += present;
+                });
+            });
+
+            totals.push(hasRows ? total : null);
+        });
+
+        return { dates, totals, byArea, byDesignation };
+    },
+
+    // Trailing average over the last `window` calendar days, skipping days
+    // without data. Looks back before the range so the first points are
+    // not averaged over a partial window.
+    async movingAverage(fromStr, toStr, areas, window) {
+        const start = new Date(fromStr);
+        start.setUTCDate(start.getUTCDate() - (window - 1));
+        const { totals } = await this.getSeries(Utils.formatDate(start), toStr, areas);
+
+        const result = [];
+        for (let i = window - 1; i < totals.length; i++) {
+            const slice = totals.slice(i - window + 1, i + 1).filter(v => v !== null);
+            result.push(slice.length > 0 ? Math.round((slice.reduce((s, v) => s + v, 0) / slice.length) * 10) / 10 : null);
+        }
+        return result;
+    },
+
+    getTopDesignations(series, count) {
+        return Object.values(series.byDesignation)
+            .filter(d => d.total > 0)
+            .sort((a, b) => b.total - a.total)
+            .slice(0, count);
+    }
+};
+
+// ============================================
+// UI UTILITIES
+// ============================================
+const UI = {
+    showToast(message, type = 'info') {
+        const container = document.getElementById('toast-container');
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        Utils.setText(toast, message);
+        container?.appendChild(toast);
+        setTimeout(() => toast.remove(), 3000);
+    },
+
+    showModal(title, bodyHTML, buttons = []) {
+        const container = document.getElementById('modal-container');
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+
+        const header = document.createElement('div');
+        header.className = 'modal-header';
+        const h3 = document.createElement('h3');
+        Utils.setText(h3, title);
+        header.appendChild(h3);
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'icon-btn';
+        Utils.setText(closeBtn, '✕');
+        closeBtn.onclick = () => overlay.remove();
+        header.appendChild(closeBtn);
+
+        const body = document.createElement('div');
+        body.className = 'modal-body';
+        body.innerHTML = bodyHTML;
+
+        const footer = document.createElement('div');
+        footer.className = 'modal-footer';
+
+        buttons.forEach(btn => {
+            const button = document.createElement('button');
+            button.className = `btn ${btn.className || 'btn-secondary'}`;
+            Utils.setText(button, btn.text);
+            button.onclick = () => {
+                if (btn.onClick) btn.onClick();
+                if (btn.closeOnClick !== false) overlay.remove();
+            };
+            footer.appendChild(button);
+        });
+
+        modal.appendChild(header);
+        modal.appendChild(body);
+        modal.appendChild(footer);
+        overlay.appendChild(modal);
+        container?.appendChild(overlay);
+
+        return overlay;
+    },
+
+    async renderDayStatus(el, dateStr) {
+        if (!el) return;
+        const data = await Storage.getAttendanceForDate(dateStr);
+        const status = data.status || 'open';
+
+        el.className = `status-badge status-${status}`;
+        Utils.setText(el, status.charAt(0).toUpperCase() + status.slice(1));
+
+        if (status === 'closed') {
+            el.title = `Closed by ${data.closedBy} at ${Utils.formatDateTime(data.closedAt)}`;
+        } else if (status === 'reopened') {
+            el.title = `Reopened by ${data.reopenedBy} at ${Utils.formatDateTime(data.reopenedAt)}: ${data.reopenReason}`;
+        } else {
+            el.title = '';
+        }
+    },
+
+    renderSyncStatus() {
+        const el = document.getElementById('sync-status');
+        if (!el) return;
+
+        const s = Storage.getSync();
+        el.style.display = s.url ? '' : 'none';
+        if (!s.url) return;
+
+        const pending = Sync.getPendingCount();
+        let text;
+        if (Sync.status === 'syncing') text = 'Syncing…';
+        else if (Sync.status === 'offline') text = pending > 0 ? `Offline (${pending})` : 'Offline';
+        else if (Sync.status === 'error') text = 'Sync error';
+        else text = pending > 0 ? `${pending} pending` : 'Synced';
+        Utils.setText(el, text);
+
+        const last = s.lastSyncAt ? `Last synced ${Utils.formatDateTime(s.lastSyncAt)}` : 'Not synced yet';
+        el.title = s.lastError ? `${last}. Last error: ${s.lastError}` : `${last}. Click to sync now.`;
+    },
+
+    confirm(message, onConfirm) {
+        this.showModal('Confirm', `<p>${message}</p>`, [
+            { text: 'Cancel', className: 'btn-secondary' },
+            { text: 'Confirm', className: 'btn-primary', onClick: onConfirm }
+        ]);
+    },
+
+    switchScreen(screenId) {
+        document.querySelectorAll('.screen').forEach(s => s.style.display = 'none');
+        const screen = document.getElementById(screenId);
+        if (screen) screen.style.display = 'block';
+    },
+
+    switchView(viewId) {
+        document.querySelectorAll('.view').forEach(v => v.style.display = 'none');
+        const view = document.getElementById(`${viewId}-view`);
+        if (view) view.style.display = 'block';
+
+        document.querySelectorAll('.nav-btn').forEach(b => b.classList.remove('active'));
+        const navBtn = document.querySelector(`.nav-btn[data-view="${viewId}"]`);
+        if (navBtn) navBtn.classList.add('active');
+    }
+};
+
+// ============================================
+// SVG CHARTS
+// ============================================
+const Charts = {
+    PALETTE: ['#2196F3', '#4CAF50', '#FF9800', '#9C27B0', '#f44336', '#00BCD4', '#795548',
+        '#607D8B', '#E91E63', '#CDDC39', '#3F51B5', '#009688', '#FFC107'],
+    WIDTH: 640,
+    HEIGHT: 240,
+    PAD: { top: 12, right: 12, bottom: 28, left: 44 },
+
+    _el(tag, attrs = {}) {
+        const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+        return el;
+    },
+
+    // Rounds the axis maximum up so the four grid steps land on round numbers.
+    _niceMax(value) {
+        if (value <= 0) return 10;
+        const raw = value / 4;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        const step = [1, 2, 2.5, 5, 10].find(s => s * magnitude >= raw) * magnitude;
+        return step * 4;
+    },
+
+    // Draws grid, axes and labels; returns the svg and scale functions.
+    _frame(dates, maxValue) {
+        const { WIDTH, HEIGHT, PAD } = this;
+        const plotW = WIDTH - PAD.left - PAD.right;
+        const plotH = HEIGHT - PAD.top - PAD.bottom;
+        const yMax = this._niceMax(maxValue);
+
+        const svg = this._el('svg', { viewBox: `0 0 ${WIDTH} ${HEIGHT}`, class: 'chart-svg', role: 'img' });
+        const slot = plotW / Math.max(dates.length, 1);
+        const x = i => PAD.left + slot * i + slot / 2;
+        const y = v => PAD.top + plotH - (v / yMax) * plotH;
+
+        for (let t = 0; t <= 4; t++) {
+            const value = (yMax / 4) * t;
+            svg.appendChild(this._el('line', { x1: PAD.left, x2: WIDTH - PAD.right, y1: y(value), y2: y(value), class: 'chart-grid' }));
+            const label = this._el('text', { x: PAD.left - 6, y: y(value) + 4, 'text-anchor': 'end', class: 'chart-label' });
+            label.textContent = Number.isInteger(value) ? value : value.toFixed(1);
+            svg.appendChild(label);
+        }
+
+        const labelEvery = Math.max(1, Math.ceil(dates.length / 6));
+        const last = dates.length - 1;
+        dates.forEach((d, i) => {
+            if (i !== last && (i % labelEvery !== 0 || last - i < labelEvery / 2)) return;
+            const label = this._el('text', { x: x(i), y: HEIGHT - 8, 'text-anchor': 'middle', class: 'chart-label' });
+            label.textContent = d.slice(5);
+            svg.appendChild(label);
+        });
+
+        return { svg, x, y, slot };
+    },
+
+    _legend(container, series) {
+        const legend = document.createElement('div');
+        legend.className = 'chart-legend';
+        series.forEach(s => {
+            const item = document.createElement('span');
+            item.className = 'chart-legend-item';
+            const swatch = document.createElement('span');
+            swatch.className = 'chart-swatch';
+            swatch.style.backgroundColor = s.color;
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(s.label));
+            legend.appendChild(item);
+        });
+        container.appendChild(legend);
+    },
+
+    _empty(container) {
+        const empty = document.createElement('div');
+        empty.className = 'unconfirmed-empty';
+        Utils.setText(empty, 'No data in this range');
+        container.appendChild(empty);
+    },
+
+    // series: [{ label, values (null = gap), color, dashed }]
+    lineChart(container, dates, series) {
+        container.innerHTML = '';
+        const max = Math.max(0, ...series.flatMap(s => s.values.filter(v => v !== null)));
+        if (max === 0 && series.every(s => s.values.every(v => v === null))) {
+            this._empty(container);
+            return;
+        }
+
+        const { svg, x, y } = this._frame(dates, max);
+        series.forEach(s => {
+            let d = '';
+            let penDown = false;
+            s.values.forEach((v, i) => {
+                if (v === null) {
+                    penDown = false;
+                    return;
+                }
+                d += `${penDown ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)} `;
+                penDown = true;
+            });
+
+            const path = this._el('path', { d: d.trim(), fill: 'none', stroke: s.color, 'stroke-width': 2, class: 'chart-line' });
+            if (s.dashed) path.setAttribute('stroke-dasharray', '5 4');
+            svg.appendChild(path);
+
+            if (!s.dashed && dates.length <= 62) {
+                s.values.forEach((v, i) => {
+                    if (v === null) return;
+                    const dot = this._el('circle', { cx: x(i), cy: y(v), r: 3, fill: s.color });
+                    const title = this._el('title');
+                    title.textContent = `${dates[i]} · ${s.label}: ${v}`;
+                    dot.appendChild(title);
+                    svg.appendChild(dot);
+                });
+            }
+        });
+
+        container.appendChild(svg);
+        this._legend(container, series);
+    },
+
+    // series: [{ label, values, color }] stacked bottom to top in order
+    stackedBarChart(container, dates, series) {
+        container.innerHTML = '';
+        const stackTotals = dates.map((_, i) => series.reduce((sum, s) => sum + (s.values[i] || 0), 0));
+        const max = Math.max(0, ...stackTotals);
+        if (max === 0) {
+            this._empty(container);
+            return;
+        }
+
+        const { svg, x, y, slot } = this._frame(dates, max);
+        const barW = Math.max(1, slot * 0.75);
+
+        dates.forEach((dateStr, i) => {
+            let base = 0;
+            series.forEach(s => {
+                const v = s.values[i] || 0;
+                if (v <= 0) return;
+                const rect = this._el('rect', {
+                    x: (x(i) - barW / 2).toFixed(1),
+                    y: y(base + v).toFixed(1),
+                    width: barW.toFixed(1),
+                    height: (y(base) - y(base + v)).toFixed(1),
+                    fill: s.color
+                });
+                const title = this._el('title');
+                title.textContent = `${dateStr} · ${s.label}: ${v}`;
+                rect.appendChild(title);
+                svg.appendChild(rect);
+                base += v;
+            });
+        });
+
+        container.appendChild(svg);
+        this._legend(container, series.filter(s => s.values.some(v => v > 0)));
+    }
+};
+
+// ============================================
+// XLSX WORKBOOK WRITER
+// ============================================
+// Writes Office Open XML workbooks in the browser: typed cells (text,
+// numbers, booleans, dates as date serials), a bold frozen header row and an
+// optional totals row with SUM formulas, packed into an uncompressed zip.
+// A sheet is { name, columns: [{ header, type, width, sum }], rows, totals },
+// where type is 'string' (default), 'number', 'boolean', 'date' (YYYY-MM-DD)
+// or 'datetime' (ms timestamp), and totals is omitted for no totals row.
+const Xlsx = {
+    // Day zero of Excel's 1900 date system
+    EPOCH: Date.UTC(1899, 11, 30),
+
+    // Indexes into cellXfs in styles.xml
+    STYLE: { HEADER: 1, DATE: 2, DATETIME: 3, TOTAL: 4 },
+
+    build(sheets) {
+        const files = [
+            ['[Content_Types].xml', this._contentTypes(sheets.length)],
+            ['_rels/.rels', this._xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>')],
+            ['xl/workbook.xml', this._workbook(sheets)],
+            ['xl/_rels/workbook.xml.rels', this._workbookRels(sheets.length)],
+            ['xl/styles.xml', this._styles()],
+            ...sheets.map((sheet, i) => [`xl/worksheets/sheet${i + 1}.xml`, this._sheet(sheet)])
+        ];
+
+        const encoder = new TextEncoder();
+        return new Blob([this._zip(files.map(([name, xml]) => ({ name, data: encoder.encode(xml) })))], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+    },
+
+    _xml(body) {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n' + body;
+    },
+
+    _escape(value) {
+        return String(value)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    _colName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    },
+
+    // Date serials are in local time, as Excel has no time zones
+    _serial(type, value) {
+        if (type === 'date') {
+            const [y, m, d] = value.split('-').map(Number);
+            return (Date.UTC(y, m - 1, d) - this.EPOCH) / 86400000;
+        }
+        const local = value - new Date(value).getTimezoneOffset() * 60000;
+        return (local - this.EPOCH) / 86400000;
+    },
+
+    _cell(ref, value, type) {
+        if (value === null || value === undefined || value === '') return '';
+        switch (type) {
+            case 'number':
+                return `<c r="${ref}"><v>${value}</v></c>`;
+            case 'boolean':
+                return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+            case 'date':
+                return `<c r="${ref}" s="${this.STYLE.DATE}"><v>${this._serial('date', value)}</v></c>`;
+            case 'datetime':
+                return `<c r="${ref}" s="${this.STYLE.DATETIME}"><v>${this._serial('datetime', value)}</v></c>`;
+            default:
+                return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${this._escape(value)}</t></is></c>`;
+        }
+    },
+
+    _sheet(sheet) {
+        const { columns, rows, totals } = sheet;
+        const lastRow = rows.length + 1;
+
+        const cols = columns.map((c, i) =>
+            `<col min="${i + 1}" max="${i + 1}" width="${c.width || (c.type === 'datetime' ? 18 : 12)}" customWidth="1"/>`).join('');
+
+        const header = columns.map((c, i) =>
+            `<c r="${this._colName(i)}1" t="inlineStr" s="${this.STYLE.HEADER}"><is><t>${this._escape(c.header)}</t></is></c>`).join('');
+
+        const body = rows.map((row, r) =>
+            `<row r="${r + 2}">` + columns.map((c, i) => this._cell(`${this._colName(i)}${r + 2}`, row[i], c.type)).join('') + '</row>'
+        ).join('');
+
+        let totalsRow = '';
+        if (totals && rows.length > 0) {
+            const n = lastRow + 1;
+            const range = col => `${this._colName(col)}2:${this._colName(col)}${lastRow}`;
+            const cells = columns.map((c, i) => {
+                const ref = `${this._colName(i)}${n}`;
+                if (i === 0) return `<c r="${ref}" t="inlineStr" s="${this.STYLE.TOTAL}"><is><t>TOTAL</t></is></c>`;
+                if (!c.sum) return '';
+
+                const where = totals.onlyWhere;
+                const formula = where
+                    ? `SUMIF(${range(where.column)},"${this._escape(where.equals)}",${range(i)})`
+                    : `SUM(${range(i)})`;
+                const value = rows.reduce((sum, row) => {
+                    if (where && row[where.column] !== where.equals) return sum;
+                    return sum + (typeof row[i] === 'number' ? row[i] : 0);
+                }, 0);
+                return `<c r="${ref}" s="${this.STYLE.TOTAL}"><f>${formula}</f><v>${value}</v></c>`;
+            }).join('');
+            totalsRow = `<row r="${n}">${cells}</row>`;
+        }
+
+        return this._xml('<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0">' +
+            '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+            '</sheetView></sheetViews>' +
+            `<cols>${cols}</cols>` +
+            `<sheetData><row r="1">${header}</row>${body}${totalsRow}</sheetData>` +
+            '</worksheet>');
+    },
+
+    _workbook(sheets) {
+        const list = sheets.map((s, i) => {
+            const name = s.name.replace(/[\[\]:*?\/\\]/g, ' ').slice(0, 31);
+            return `<sheet name="${this._escape(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`;
+        }).join('');
+        return this._xml('<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets>${list}</sheets></workbook>`);
+    },
+
+    _workbookRels(count) {
+        let rels = '';
+        for (let i = 1; i <= count; i++) {
+            rels += `<Relationship Id="rId${i}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i}.xml"/>`;
+        }
+        rels += `<Relationship Id="rId${count + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`;
+        return this._xml(`<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${rels}</Relationships>`);
+    },
+
+    _contentTypes(count) {
+        let sheets = '';
+        for (let i = 1; i <= count; i++) {
+            sheets += `<Override PartName="/xl/worksheets/sheet${i}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`;
+        }
+        return this._xml('<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            sheets + '</Types>');
+    },
+
+    _styles() {
+        return this._xml('<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm"/></numFmts>' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+            '<fill><patternFill patternType="solid"><fgColor rgb="FFE0E0E0"/><bgColor indexed="64"/></patternFill></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="5">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>' +
+            '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>');
+    },
+
+    _crc32(bytes) {
+        if (!this._crcTable) {
+            this._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                this._crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = this._crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    // Zip archive with every entry stored (no compression)
+    _zip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const local = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const crc = this._crc32(file.data);
+            const size = file.data.length;
+
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true); // UTF-8 names
+            header.setUint16(8, 0, true);
+            header.setUint16(10, time, true);
+            header.setUint16(12, date, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, size, true);
+            header.setUint32(22, size, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);
+            local.push(new Uint8Array(header.buffer), name, file.data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, size, true);
+            entry.setUint32(24, size, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + size;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...local, ...central, new Uint8Array(end.buffer)];
+        const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let pos = 0;
+        parts.forEach(part => {
+            out.set(part, pos);
+            pos += part.length;
+        });
+        return out;
+    }
+};
+
+// ============================================
+// EXPORT FUNCTIONS
+// ============================================
+const Exports = {
+    async exportDetailed(dateStr) {
+        this._downloadCSV(this._detailCSV(await this._detailRecords([dateStr])), `headcount_detailed_${dateStr}.csv`);
+    },
+
+    _dayStatus(attendance) {
+        return (attendance?.status || 'open').toUpperCase();
+    },
+
+    // One record per designation row on each date, shared by the CSV and
+    // workbook exports.
+    async _detailRecords(dates) {
+        const areas = await Areas.getReportAreas(null, dates);
+        const all = await Storage.getAttendanceRange(dates[0], dates[dates.length - 1]);
+        const records = [];
+
+        dates.forEach(dateStr => {
+            const attendance = all[dateStr] || { areas: {} };
+            const dayStatus = this._dayStatus(attendance);
+            areas.forEach(areaName => {
+                const areaData = attendance.areas[areaName] || { rows: [] };
+                areaData.rows.forEach(row => {
+                    records.push({
+                        date: dateStr,
+                        area: areaName,
+                        designation: row.designationLabel,
+                        present: row.present,
+                        confirmed: !!row.confirmed,
+                        updatedAt: row.updatedAt || null,
+                        updatedBy: row.updatedBy || '',
+                        dayStatus
+                    });
+                });
+            });
+        });
+        return records;
+    },
+
+    _detailCSV(records) {
+        let csv = 'date,area,designation,present,confirmed,updated_at,updated_by,day_status\n';
+        records.forEach(r => {
+            const present = r.present !== null ? r.present : '';
+            const updatedAt = r.updatedAt ? Utils.formatDateTime(r.updatedAt) : '';
+            csv += `${r.date},${this._csvField(r.area)},${this._csvField(r.designation)},${present},${r.confirmed},${this._csvField(updatedAt)},${this._csvField(r.updatedBy)},${this._csvField(r.dayStatus)}\n`;
+        });
+        return csv;
+    },
+
+    _areaPresentTotal(attendance, areaName) {
+        const areaData = attendance?.areas?.[areaName] || { rows: [] };
+        return areaData.rows.reduce((sum, r) => sum + (typeof r.present === 'number' ? r.present : 0), 0);
+    },
+
+    async getRangeSummary(fromStr, toStr) {
+        const dates = Utils.getDateRange(fromStr, toStr);
+        const all = await Storage.getAttendanceRange(fromStr, toStr);
+        const areas = await Areas.getReportAreas(null, dates);
+
+        let daysWithData = 0;
+        let rows = 0;
+        let total = 0;
+
+        dates.forEach(dateStr => {
+            const attendance = all[dateStr];
+            if (!attendance) return;
+
+            let dayRows = 0;
+            areas.forEach(areaName => {
+                dayRows += (attendance.areas[areaName]?.rows || []).length;
+                total += this._areaPresentTotal(attendance, areaName);
+            });
+
+            if (dayRows > 0) daysWithData++;
+            rows += dayRows;
+        });
+
+        return { days: dates.length, daysWithData, rows, areas: areas.length, total };
+    },
+
+    async exportRange(fromStr, toStr) {
+        const records = await this._detailRecords(Utils.getDateRange(fromStr, toStr));
+        this._downloadCSV(this._detailCSV(records), `headcount_${fromStr}_to_${toStr}.csv`);
+    },
+
+    async exportRangePivot(fromStr, toStr) {
+        const dates = Utils.getDateRange(fromStr, toStr);
+        const areas = await Areas.getReportAreas(null, dates);
+        const all = await Storage.getAttendanceRange(fromStr, toStr);
+
+        const dateTotals = dates.map(() => 0);
+        let csv = `area,${dates.join(',')},total\n`;
+
+        Areas.getRows(areas).forEach(item => {
+            if (item.type === 'group') {
+                let groupTotal = 0;
+                const cells = dates.map(dateStr => {
+                    const value = item.areas.reduce((sum, a) => sum + this._areaPresentTotal(all[dateStr], a), 0);
+                    groupTotal += value;
+                    return value;
+                });
+                csv += `${this._csvField(`${Areas.getLevelName(item.group).toUpperCase()}: ${item.group.name}`)},${cells.join(',')},${groupTotal}\n`;
+                return;
+            }
+
+            let areaTotal = 0;
+            const cells = dates.map((dateStr, i) => {
+                const value = this._areaPresentTotal(all[dateStr], item.name);
+                dateTotals[i] += value;
+                areaTotal += value;
+                return value;
+            });
+            csv += `${this._csvField(item.name)},${cells.join(',')},${areaTotal}\n`;
+        });
+
+        const grandTotal = dateTotals.reduce((sum, v) => sum + v, 0);
+        csv += `"TOTAL",${dateTotals.join(',')},${grandTotal}\n`;
+        csv += `"DAY STATUS",${dates.map(d => this._dayStatus(all[d])).join(',')},\n`;
+
+        this._downloadCSV(csv, `headcount_pivot_${fromStr}_to_${toStr}.csv`);
+    },
+
+    exportAudit(entries, filename) {
+        let csv = 'timestamp,date,user,area,designation,target_user,field,from,to,note\n';
+
+        entries.forEach(e => {
+            const from = Audit.formatValue(e.from);
+            const to = Audit.formatValue(e.to);
+            csv += `${this._csvField(Utils.formatDateTime(e.ts))},${e.date || ''},${this._csvField(e.user)},${this._csvField(e.area)},${this._csvField(e.designationKey)},${this._csvField(e.target)},${this._csvField(e.field)},${this._csvField(from)},${this._csvField(to)},${this._csvField(e.note)}\n`;
+        });
+
+        this._downloadCSV(csv, filename);
+    },
+
+    exportSecurityLog() {
+        let csv = 'timestamp,user,event,note\n';
+
+        Storage.getSecurityLog().reverse().forEach(e => {
+            const event = Auth.SECURITY_EVENTS[e.type] || e.type;
+            csv += `${this._csvField(Utils.formatDateTime(e.ts))},${this._csvField(e.user)},${this._csvField(event)},${this._csvField(e.note)}\n`;
+        });
+
+        this._downloadCSV(csv, `headcount_security_log_${Utils.getTodayString()}.csv`);
+    },
+
+    async exportAreaSummary(dateStr) {
+        let csv = 'date,area,present_total,rows_total,rows_confirmed,status,last_updated,day_status,planned,variance,variance_pct,understaffed,level,group_path\n';
+
+        (await this._areaSummaryRecords(dateStr)).forEach(r => {
+            const lastUpdated = r.lastUpdated ? Utils.formatDateTime(r.lastUpdated) : '';
+            const planned = r.planned !== null ? r.planned : '';
+            const variance = r.variance !== null ? r.variance : '';
+            const variancePct = r.variancePct !== null ? r.variancePct : '';
+            csv += `${r.date},${this._csvField(r.area)},${r.total},${r.rows},${r.confirmed},${this._csvField(r.status)},${this._csvField(lastUpdated)},${this._csvField(r.dayStatus)},${planned},${variance},${variancePct},${r.understaffed},${this._csvField(r.level)},${this._csvField(r.groupPath)}\n`;
+        });
+
+        this._downloadCSV(csv, `headcount_area_summary_${dateStr}.csv`);
+    },
+
+    // Groups come first with their subtotals (status SUBTOTAL), then the
+    // areas below them, mirroring the Home table.
+    async _areaSummaryRecords(dateStr) {
+        const areas = await Areas.getReportAreas(null, [dateStr]);
+        const attendance = await Storage.getAttendanceForDate(dateStr);
+        const dayStatus = this._dayStatus(attendance);
+        const { areaGroup } = Storage.getAreaGroups();
+
+        const records = [];
+        for (const item of Areas.getRows(areas)) {
+            const groupAreas = item.type === 'group' ? item.areas : [item.name];
+            let total = 0;
+            let confirmed = 0;
+            let rows = 0;
+            let lastUpdated = 0;
+            groupAreas.forEach(areaName => {
+                const areaRows = attendance.areas[areaName]?.rows || [];
+                total += this._areaPresentTotal(attendance, areaName);
+                confirmed += areaRows.filter(r => r.confirmed).length;
+                rows += areaRows.length;
+                areaRows.forEach(r => {
+                    lastUpdated = Math.max(lastUpdated, r.updatedAt || 0);
+                });
+            });
+
+            let status = 'NOT_STARTED';
+            if (item.type === 'group') {
+                status = 'SUBTOTAL';
+            } else if (rows > 0) {
+                status = confirmed === rows ? 'CONFIRMED' : 'IN_PROGRESS';
+            }
+
+            const plan = item.type === 'group'
+                ? await Plans.getGroupVariance(dateStr, groupAreas)
+                : await Plans.getVariance(dateStr, item.name);
+
+            records.push({
+                date: dateStr,
+                area: item.type === 'group' ? item.group.name : item.name,
+                total,
+                rows,
+                confirmed,
+                status,
+                lastUpdated: lastUpdated || null,
+                dayStatus,
+                planned: plan.planned,
+                variance: plan.variance,
+                variancePct: plan.variancePct,
+                understaffed: plan.understaffed,
+                level: item.type === 'group' ? Areas.getLevelName(item.group) : 'Area',
+                groupPath: Areas.getGroupPath(item.type === 'group' ? item.group.parentId : areaGroup[item.name])
+            });
+        }
+        return records;
+    },
+
+    async exportDesignationSummary(dateStr) {
+        let csv = 'date,designation,present_total,total_rows,areas_count,day_status,code,category\n';
+
+        (await this._designationSummaryRecords(dateStr)).forEach(r => {
+            csv += `${r.date},${this._csvField(r.designation)},${r.total},${r.count},${r.areas},${this._csvField(r.dayStatus)},${this._csvField(r.code)},${this._csvField(r.category)}\n`;
+        });
+
+        this._downloadCSV(csv, `headcount_designation_summary_${dateStr}.csv`);
+    },
+
+    async _designationSummaryRecords(dateStr) {
+        const areas = await Areas.getReportAreas(null, [dateStr]);
+        const attendance = await Storage.getAttendanceForDate(dateStr);
+
+        const designationMap = {};
+
+        areas.forEach(areaName => {
+            const areaData = attendance.areas[areaName] || { rows: [] };
+            areaData.rows.forEach(row => {
+                const entry = Catalog.resolve(row.designationLabel);
+                const key = entry ? entry.label : row.designationLabel;
+                if (!designationMap[key]) {
+                    designationMap[key] = { total: 0, count: 0, areas: new Set(), code: entry?.code || '', category: entry?.category || '' };
+                }
+                if (row.present) {
+                    designationMap[key].total += row.present;
+                    designationMap[key].count++;
+                }
+                designationMap[key].areas.add(areaName);
+            });
+        });
+
+        const dayStatus = this._dayStatus(attendance);
+        return Object.entries(designationMap).map(([designation, data]) => ({
+            date: dateStr,
+            designation,
+            total: data.total,
+            count: data.count,
+            areas: data.areas.size,
+            dayStatus,
+            code: data.code,
+            category: data.category
+        }));
+    },
+
+    // One workbook with Detail, Area Summary and Designation Summary sheets.
+    // The summary sheets have one block of rows per date in the range.
+    async exportWorkbook(fromStr, toStr) {
+        const dates = Utils.getDateRange(fromStr, toStr);
+        const areaRecords = [];
+        const designationRecords = [];
+        for (const d of dates) {
+            areaRecords.push(...await this._areaSummaryRecords(d));
+            designationRecords.push(...await this._designationSummaryRecords(d));
+        }
+        const detailRecords = await this._detailRecords(dates);
+
+        const blob = Xlsx.build([
+            {
+                name: 'Detail',
+                columns: [
+                    { header: 'Date', type: 'date' },
+                    { header: 'Area', width: 28 },
+                    { header: 'Designation', width: 24 },
+                    { header: 'Present', type: 'number', sum: true },
+                    { header: 'Confirmed', type: 'boolean' },
+                    { header: 'Updated At', type: 'datetime' },
+                    { header: 'Updated By' },
+                    { header: 'Day Status' }
+                ],
+                rows: detailRecords.map(r => [
+                    r.date, r.area, r.designation, r.present, r.confirmed, r.updatedAt, r.updatedBy, r.dayStatus
+                ]),
+                totals: {}
+            },
+            {
+                name: 'Area Summary',
+                columns: [
+                    { header: 'Date', type: 'date' },
+                    { header: 'Area', width: 28 },
+                    { header: 'Level' },
+                    { header: 'Group', width: 24 },
+                    { header: 'Present', type: 'number', sum: true },
+                    { header: 'Rows', type: 'number', sum: true },
+                    { header: 'Confirmed Rows', type: 'number', sum: true },
+                    { header: 'Status', width: 14 },
+                    { header: 'Last Updated', type: 'datetime' },
+                    { header: 'Day Status' },
+                    { header: 'Planned', type: 'number', sum: true },
+                    { header: 'Variance', type: 'number', sum: true },
+                    { header: 'Variance %', type: 'number' },
+                    { header: 'Understaffed', type: 'boolean' }
+                ],
+                rows: areaRecords.map(r => [
+                    r.date, r.area, r.level, r.groupPath, r.total, r.rows, r.confirmed, r.status,
+                    r.lastUpdated, r.dayStatus, r.planned, r.variance, r.variancePct, r.understaffed
+                ]),
+                // Subtotal rows would count twice, so only area rows are summed
+                totals: { onlyWhere: { column: 2, equals: 'Area' } }
+            },
+            {
+                name: 'Designation Summary',
+                columns: [
+                    { header: 'Date', type: 'date' },
+                    { header: 'Designation', width: 24 },
+                    { header: 'Code' },
+                    { header: 'Category', width: 16 },
+                    { header: 'Present', type: 'number', sum: true },
+                    { header: 'Rows', type: 'number', sum: true },
+                    { header: 'Areas', type: 'number' },
+                    { header: 'Day Status' }
+                ],
+                rows: designationRecords.map(r => [
+                    r.date, r.designation, r.code, r.category, r.total, r.count, r.areas, r.dayStatus
+                ]),
+                totals: {}
+            }
+        ]);
+
+        const name = fromStr === toStr ? `headcount_${fromStr}.xlsx` : `headcount_${fromStr}_to_${toStr}.xlsx`;
+        this._download(blob, name);
+    },
+
+    // Quotes a text field, doubling any quotes inside it
+    _csvField(value) {
+        return `"${String(value ?? '').replace(/"/g, '""')}"`;
+    },
+
+    _downloadCSV(content, filename) {
+        // The byte order mark makes Excel read the file as UTF-8
+        this._download(new Blob(['\uFEFF' + content], { type: 'text/csv;charset=utf-8;' }), filename);
+    },
+
+    _download(blob, filename) {
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+};
+
+// ============================================
+// CSV IMPORT
+// ============================================
+// Reads headcount CSVs laid out like the detailed export (date, area,
+// designation, present, confirmed; other columns are ignored) and checks
+// every line before anything is written. Accepted lines are applied through
+// Attendance so the audit trail and designation history stay correct.
+const Imports = {
+    REQUIRED_COLUMNS: ['date', 'area', 'designation', 'present'],
+
+    // One preview item per CSV line: { line, area, designation,
+    // designationKey, present, confirmed, action, errors, warnings }.
+    // action is 'add', 'update' or 'unchanged'. Lines with errors cannot be
+    // imported; warnings need the user to tick the line.
+    async preview(text, dateStr, user) {
+        const lines = Utils.parseCSV(text.replace(/^\uFEFF/, ''));
+        if (lines.length === 0) throw new Error('The file is empty');
+
+        const header = lines[0].map(h => h.trim().toLowerCase());
+        const missing = this.REQUIRED_COLUMNS.filter(c => !header.includes(c));
+        if (missing.length > 0) throw new Error(`Missing column(s): ${missing.join(', ')}`);
+
+        const areas = Areas.getActive(user);
+        const history = Storage.getDesignationHistory().global.map(l => Utils.normalizeDesignation(l));
+        const data = await Storage.getAttendanceForDate(dateStr);
+        const closed = data.status === 'closed';
+        const seen = new Set();
+
+        return lines.slice(1).map((cells, i) => {
+            const value = name => (cells[header.indexOf(name)] || '').trim();
+            const item = {
+                line: i + 2,
+                area: value('area'),
+                designation: value('designation'),
+                designationKey: null,
+                present: null,
+                confirmed: false,
+                action: 'add',
+                errors: [],
+                warnings: []
+            };
+
+            const date = value('date');
+            if (date && date !== dateStr) item.errors.push(`Dated ${date}, not ${dateStr}`);
+            if (closed) item.errors.push(`${dateStr} is closed`);
+
+            if (!item.area) {
+                item.errors.push('Area missing');
+            } else if (!areas.includes(item.area)) {
+                item.errors.push(`Unknown area "${item.area}"`);
+            }
+
+            if (!item.designation) {
+                item.errors.push('Designation missing');
+            } else {
+                try {
+                    item.designation = Catalog.validate(item.designation.replace(/\s+/g, ' '));
+                    item.designationKey = Utils.normalizeDesignation(item.designation);
+                    if (!Catalog.resolve(item.designation) && !history.includes(item.designationKey)) {
+                        item.warnings.push('Designation not used before');
+                    }
+                } catch (err) {
+                    item.errors.push(err.message);
+                }
+            }
+
+            const presentText = value('present');
+            if (presentText !== '') {
+                const n = Number(presentText);
+                if (isNaN(n)) {
+                    item.errors.push(`Present "${presentText}" is not a number`);
+                } else if (n < 0) {
+                    item.errors.push('Present cannot be negative');
+                } else if (!Number.isInteger(n)) {
+                    item.errors.push('Present must be a whole number');
+                } else {
+                    item.present = n;
+                }
+            }
+
+            const confirmedText = value('confirmed').toLowerCase();
+            if (['true', 'yes', 'y', '1'].includes(confirmedText)) {
+                item.confirmed = true;
+            } else if (!['', 'false', 'no', 'n', '0'].includes(confirmedText)) {
+                item.errors.push(`Confirmed "${value('confirmed')}" should be true or false`);
+            }
+            if (item.confirmed && item.present === null) item.errors.push('Cannot confirm a blank count');
+
+            if (item.designationKey && areas.includes(item.area)) {
+                const key = `${item.area}|${item.designationKey}`;
+                if (seen.has(key)) item.errors.push('Repeats an earlier line');
+                seen.add(key);
+
+                const existing = data.areas[item.area]?.rows.find(r => r.designationKey === item.designationKey);
+                if (existing) {
+                    if (existing.present === item.present && existing.confirmed === item.confirmed) {
+                        item.action = 'unchanged';
+                    } else {
+                        item.action = 'update';
+                        if (existing.present !== null && existing.present !== item.present) {
+                            item.warnings.push(`Replaces existing count ${existing.present}`);
+                        }
+                        if (existing.confirmed && !item.confirmed) item.warnings.push('Un-confirms a confirmed row');
+                    }
+                }
+            }
+
+            return item;
+        });
+    },
+
+    async apply(items, dateStr, fileName) {
+        let applied = 0;
+        const failed = [];
+
+        for (const item of items) {
+            try {
+                const row = await Attendance.addOrUpdateRow(dateStr, item.area, item.designation);
+                await Attendance.updateRow(dateStr, item.area, row.designationKey, {
+                    present: item.present,
+                    confirmed: item.confirmed
+                });
+                applied++;
+            } catch (err) {
+                failed.push(`Line ${item.line}: ${err.message}`);
+            }
+        }
+
+        await Audit.log({ date: dateStr, field: 'csv_imported', to: { applied, failed: failed.length }, note: fileName || null });
+        return { applied, failed };
+    }
+};
+
+// ============================================
+// BACKUP FILES
+// ============================================
+// A backup file is the Storage.exportAll layout plus version, exportedAt,
+// scope and a SHA-256 checksum over everything else, so a damaged or
+// hand-edited file is refused. The 'attendance' scope leaves users out.
+// With a password the whole file is AES-GCM encrypted and wrapped in an
+// envelope that carries its own checksum.
+const Backups = {
+    FORMAT: 'headcount-backup',
+    ENCRYPTED_FORMAT: 'headcount-encrypted-backup',
+
+    async create({ includeUsers = true, password = '' } = {}) {
+        const data = await Storage.exportAll();
+        if (!includeUsers) delete data.users;
+
+        const backup = await this._withChecksum({
+            format: this.FORMAT,
+            version: Schema.VERSION,
+            exportedAt: Date.now(),
+            scope: includeUsers ? 'full' : 'attendance',
+            ...data
+        });
+        if (!password) return backup;
+
+        const salt = await Utils.generateSalt();
+        const iterations = CONFIG.PASSWORD_HASH_ITERATIONS;
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await Utils.deriveKey(password, salt, iterations);
+        const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(backup)));
+
+        return this._withChecksum({
+            format: this.ENCRYPTED_FORMAT,
+            version: Schema.VERSION,
+            exportedAt: backup.exportedAt,
+            salt,
+            iterations,
+            iv: Utils.toBase64(iv),
+            data: Utils.toBase64(new Uint8Array(cipher))
+        });
+    },
+
+    // JSON.parse keeps key order, so a file read back hashes the same as when written.
+    async _checksum(file) {
+        const { checksum, ...rest } = file;
+        return `sha256:${await Utils.sha256Hex(JSON.stringify(rest))}`;
+    },
+
+    async _withChecksum(file) {
+        return { ...file, checksum: await this._checksum(file) };
+    },
+
+    async _verify(file) {
+        if (file.checksum === undefined) {
+            // Backups from before checksums have neither a checksum nor a format
+            if (file.format !== undefined) throw new Error('Checksum missing: the file is damaged or was edited');
+            return;
+        }
+        if (file.checksum !== await this._checksum(file)) {
+            throw new Error('Checksum does not match: the file is damaged or was edited');
+        }
+    },
+
+    isEncrypted(file) {
+        return file?.format === this.ENCRYPTED_FORMAT;
+    },
+
+    // Parses, checks and (with the password) decrypts a backup file.
+    async read(text, password) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Not a backup file');
+        }
+        if (!file || typeof file !== 'object') throw new Error('Invalid backup');
+        if (file.format !== undefined && file.format !== this.FORMAT && !this.isEncrypted(file)) throw new Error('Not a backup file');
+        await this._verify(file);
+
+        if (this.isEncrypted(file)) {
+            if (!password) throw new Error('This backup is encrypted. Enter its password.');
+            let plain;
+            try {
+                const key = await Utils.deriveKey(password, file.salt, file.iterations);
+                plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: Utils.fromBase64(file.iv) }, key, Utils.fromBase64(file.data));
+            } catch (e) {
+                throw new Error('Wrong backup password');
+            }
+            file = JSON.parse(new TextDecoder().decode(plain));
+            await this._verify(file);
+        }
+
+        if (!(file.settings || file.users || file.attendance)) throw new Error('Invalid backup');
+        return file;
+    },
+
+    // What merging `backup` (already upgraded) would do. rows lists every
+    // designation row in the backup as { date, area, key, label, status,
+    // local, incoming, useIncoming }; status is 'new', 'changed' (the row
+    // here was never edited, so the backup's is used), 'conflict' (edited on
+    // both sides and different; useIncoming starts as the newer one),
+    // 'blocked' (different, but the date is closed here) or 'identical'.
+    // Rows only on this device are always kept. areas and users name what
+    // the backup would add.
+    async compare(backup) {
+        const attendance = backup.attendance || {};
+        const dates = Object.keys(attendance).sort();
+        const local = dates.length > 0 ? await Storage.getAttendanceRange(dates[0], dates[dates.length - 1]) : {};
+
+        const rows = [];
+        dates.forEach(date => {
+            const closed = local[date]?.status === 'closed';
+            Object.entries(attendance[date].areas || {}).forEach(([area, areaData]) => {
+                const mine = new Map((local[date]?.areas?.[area]?.rows || []).map(r => [r.designationKey, r]));
+                (areaData.rows || []).forEach(incoming => {
+                    const current = mine.get(incoming.designationKey) || null;
+                    let status = 'conflict';
+                    if (!current) status = 'new';
+                    else if (this._sameRow(current, incoming)) status = 'identical';
+                    else if (!current.updatedAt) status = 'changed';
+                    if (closed && status !== 'identical') status = 'blocked';
+                    const row = { date, area, key: incoming.designationKey, label: incoming.designationLabel, status, local: current, incoming };
+                    row.useIncoming = status === 'conflict' ? this.preferIncoming(row) : status === 'new' || status === 'changed';
+                    rows.push(row);
+                });
+            });
+        });
+
+        const knownAreas = new Set([...Storage.getAreas(), ...Storage.getArchivedAreas()]);
+        const areas = [...new Set([...(backup.areas || []), ...(backup.archivedAreas || [])])].filter(a => !knownAreas.has(a));
+        // Backup users carry roles and password hashes, so only an admin can add them
+        const knownUsers = new Set(Storage.getUsers().map(u => u.username));
+        const users = Auth.isAdmin()
+            ? (backup.users || []).map(u => u.username).filter(name => !knownUsers.has(name))
+            : [];
+
+        return { rows, areas, users };
+    },
+
+    // For a conflict: true when the backup's row was edited last.
+    preferIncoming(row) {
+        return Sync._newer(row.local, row.incoming) === row.incoming;
+    },
+
+    _sameRow(a, b) {
+        return a.designationLabel === b.designationLabel && a.present === b.present && !!a.confirmed === !!b.confirmed;
+    },
+
+    // Merges `backup` using compare()'s result, where each row's useIncoming
+    // says which side wins. Each date is written in the attendance queue like
+    // any other edit, with an audit entry per added or replaced row; closed
+    // dates and rows edited here since the preview are left alone. Areas,
+    // users and designation history are only ever added to; audit entries
+    // from both sides are kept. Resolves with counts for the audit log.
+    async merge(backup, { rows, areas, users }) {
+        if (!Auth.isAdmin()) users = [];
+
+        const summary = {
+            rowsAdded: 0,
+            rowsReplaced: 0,
+            rowsSkipped: 0,
+            closedDates: [],
+            areasAdded: areas.length,
+            usersAdded: users.length,
+            auditAdded: 0
+        };
+
+        const dates = [...new Set(rows.filter(r => r.useIncoming).map(r => r.date))];
+        for (const date of dates) {
+            await Attendance._serial(async () => {
+                const incomingDay = backup.attendance[date];
+                const existing = (await Storage.getAttendanceRange(date, date))[date];
+                if (existing?.status === 'closed') {
+                    summary.closedDates.push(date);
+                    return;
+                }
+                const day = existing ? JSON.parse(JSON.stringify(existing)) : { ...incomingDay, areas: {} };
+
+                const applied = [];
+                rows.filter(r => r.date === date && r.useIncoming).forEach(r => {
+                    const current = day.areas[r.area]?.rows.find(x => x.designationKey === r.key) || null;
+                    if (!!current !== !!r.local || (current && current.updatedAt !== r.local.updatedAt)) {
+                        summary.rowsSkipped++;
+                        return;
+                    }
+                    if (!day.areas[r.area]) day.areas[r.area] = { ...incomingDay.areas[r.area], rows: [] };
+                    const list = day.areas[r.area].rows;
+                    if (current) list[list.indexOf(current)] = { ...r.incoming };
+                    else list.push({ ...r.incoming });
+                    applied.push({ row: r, before: current });
+                });
+                if (applied.length === 0) return;
+
+                if (existing) Sync.mergeDayStamps(day, existing, incomingDay);
+                await Storage.saveAttendanceForDate(date, day);
+
+                for (const { row, before } of applied) {
+                    if (before) {
+                        summary.rowsReplaced++;
+                        await Audit.addEntry(date, row.area, row.key, 'row_replaced', Attendance._snapshot(before), Attendance._snapshot(row.incoming));
+                    } else {
+                        summary.rowsAdded++;
+                        await Audit.addEntry(date, row.area, row.key, 'row_added', null, Attendance._snapshot(row.incoming));
+                    }
+                }
+            });
+        }
+
+        await Storage.transaction(async () => {
+            if (areas.length > 0) {
+                const active = new Set(backup.areas || []);
+                await Storage.saveAreas([...Storage.getAreas(), ...areas.filter(a => active.has(a))]);
+                await Storage.saveArchivedAreas([...Storage.getArchivedAreas(), ...areas.filter(a => !active.has(a))]);
+            }
+
+            if (users.length > 0) {
+                const adding = new Set(users);
+                await Storage.saveUsers([...Storage.getUsers(), ...backup.users.filter(u => adding.has(u.username))]);
+            }
+
+            const incomingHistory = backup.designationHistory;
+            if (incomingHistory && Array.isArray(incomingHistory.global)) {
+                const union = (mine, theirs, max) => {
+                    const result = mine.slice();
+                    const seen = new Set(mine.map(d => Utils.normalizeDesignation(d)));
+                    theirs.forEach(d => {
+                        const key = Utils.normalizeDesignation(d);
+                        if (seen.has(key)) return;
+                        seen.add(key);
+                        result.push(d);
+                    });
+                    return result.slice(0, max);
+                };
+                const h = Storage.getDesignationHistory();
+                h.global = union(h.global, incomingHistory.global, CONFIG.MAX_GLOBAL_DESIGNATION_HISTORY);
+                Object.entries(incomingHistory.byArea || {}).forEach(([area, list]) => {
+                    h.byArea[area] = union(h.byArea[area] || [], list || [], CONFIG.MAX_AREA_DESIGNATION_HISTORY);
+                });
+                await Storage.saveDesignationHistory(h);
+            }
+        });
+
+        summary.auditAdded = await Storage.mergeAudit(backup.audit || []);
+        return summary;
+    }
+};
+
+// ============================================
+// SYNC
+// ============================================
+// Optional sync with a self-hosted server (server/server.js). Writes to
+// attendance dates, areas and users are queued in hc_sync by document id
+// ('attendance/YYYY-MM-DD', 'areas', 'users'), new audit entries by entry
+// id, and pushed whenever the device is online. Other devices' changes are
+// pulled with a change cursor.
+//
+// Every document keeps the server copy it was last synced with in the sync
+// store. Documents edited on two devices are merged record by record: the
+// rows of a date per designation, users per username and the areas document
+// per area, group and level list (see areaRecords). The newer updatedAt wins
+// (updatedBy, then content, breaks ties), and a record missing on one side
+// counts as deleted only if the other side still holds the synced copy.
+const Sync = {
+    _quiet: false,
+    _running: null,
+    _again: false,
+    _timer: null,
+    _interval: null,
+    _onPulled: null,
+    status: null, // null (idle) | 'syncing' | 'offline' | 'error'
+
+    isEnabled() {
+        return !!Storage.getSync().url;
+    },
+
+    getPendingCount() {
+        const s = Storage.getSync();
+        return s.queue.length + s.auditQueue.length;
+    },
+
+    // hc_sync is read and written back without awaiting in between, so
+    // concurrent updates can't overwrite each other.
+    _update(fn) {
+        const s = Storage.getSync();
+        fn(s);
+        return Storage.saveSync(s);
+    },
+
+    // Called by Storage before each tracked write.
+    track(id) {
+        if (this._quiet || !this.isEnabled()) return;
+        this._update(s => {
+            if (!s.queue.includes(id)) s.queue.push(id);
+        });
+        this.schedule();
+    },
+
+    trackAudit(entries) {
+        if (this._quiet || !this.isEnabled()) return;
+        this._update(s => {
+            entries.forEach(e => {
+                if (!s.auditQueue.includes(e.id)) s.auditQueue.push(e.id);
+            });
+        });
+        this.schedule();
+    },
+
+    // Storage calls track() synchronously, so writes started inside fn are
+    // not queued again.
+    _applyQuietly(fn) {
+        this._quiet = true;
+        try {
+            return fn();
+        } finally {
+            this._quiet = false;
+        }
+    },
+
+    async configure(url, token) {
+        const user = Auth.getCurrentUser();
+        if (!user || user.role !== 'admin') throw new Error('Only admins can configure sync');
+
+        url = (url || '').trim().replace(/\/+$/, '');
+        if (url && !/^https?:\/\//i.test(url)) throw new Error('Server URL must start with http:// or https://');
+
+        const before = Storage.getSync();
+        const next = { ...before, url, token: (token || '').trim() };
+
+        // A new server starts from scratch: everything local is queued. With
+        // no synced copy yet, users and areas the server already has keep the
+        // server's version (see _mergeDocument).
+        if (url !== before.url) {
+            Object.assign(next, { cursor: 0, queue: [], auditQueue: [], lastSyncAt: null, lastError: null });
+            if (url) {
+                next.queue = ['areas', 'users', ...(await Storage.getAttendanceDates()).map(d => `attendance/${d}`)];
+                next.auditQueue = (await Storage.getAudit()).map(e => e.id);
+            }
+            await Storage.clearSyncBase();
+        }
+
+        await Storage.saveSync(next);
+        await Audit.log({ field: 'sync_server', from: before.url || null, to: url || null });
+        this.status = null;
+        UI.renderSyncStatus();
+        if (url) await this.sync();
+    },
+
+    // Starts periodic sync for this page; onPulled runs after changes from
+    // other devices have been applied.
+    start(onPulled) {
+        this._onPulled = onPulled;
+        if (this._interval) return;
+
+        this._interval = setInterval(() => this.sync(), CONFIG.SYNC_INTERVAL);
+        window.addEventListener('online', () => this.sync());
+        window.addEventListener('offline', () => {
+            this.status = 'offline';
+            UI.renderSyncStatus();
+        });
+        UI.renderSyncStatus();
+        this.sync();
+    },
+
+    schedule() {
+        clearTimeout(this._timer);
+        this._timer = setTimeout(() => this.sync(), CONFIG.SYNC_DEBOUNCE);
+        UI.renderSyncStatus();
+    },
+
+    // Runs one pull and push. A call while a run is in progress makes
+    // another run follow it.
+    sync() {
+        if (!this.isEnabled()) return Promise.resolve();
+        if (this._running) {
+            this._again = true;
+            return this._running;
+        }
+
+        this._running = this._run().finally(() => {
+            this._running = null;
+            if (this._again) {
+                this._again = false;
+                this.schedule();
+            }
+        });
+        return this._running;
+    },
+
+    async _run() {
+        if (!navigator.onLine) {
+            this.status = 'offline';
+            UI.renderSyncStatus();
+            return;
+        }
+
+        this.status = 'syncing';
+        UI.renderSyncStatus();
+        try {
+            const pulled = await this._pull();
+            await this._push();
+            await this._update(s => {
+                s.lastSyncAt = Date.now();
+                s.lastError = null;
+            });
+            this.status = null;
+            if (pulled > 0 && this._onPulled) this._onPulled();
+        } catch (err) {
+            await this._update(s => { s.lastError = err.message || String(err); });
+            this.status = navigator.onLine ? 'error' : 'offline';
+        }
+        UI.renderSyncStatus();
+    },
+
+    async _request(method, path, body) {
+        const s = Storage.getSync();
+        const headers = { 'Content-Type': 'application/json' };
+        if (s.token) headers.Authorization = `Bearer ${s.token}`;
+
+        const res = await fetch(s.url + path, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const data = await res.json().catch(() => null);
+        if (res.status === 409 && data) return { conflict: data };
+        if (!res.ok) throw new Error(data?.error || `Server replied ${res.status}`);
+        return data;
+    },
+
+    // Returns how many documents and audit entries changed locally.
+    async _pull() {
+        const changes = await this._request('GET', `/api/changes?since=${Storage.getSync().cursor}`);
+        let applied = 0;
+
+        for (const doc of changes.docs || []) {
+            const base = await Storage.getSyncBase(doc.id);
+            if (base && base.rev === doc.rev) continue;
+            await this._applyRemote(doc, true);
+            applied++;
+        }
+
+        if (changes.audit?.length > 0) {
+            applied += await Storage.mergeAudit(changes.audit);
+        }
+
+        await this._update(s => { s.cursor = changes.seq; });
+        return applied;
+    },
+
+    async _push() {
+        let ids = [];
+        await this._update(s => {
+            ids = s.queue;
+            s.queue = [];
+        });
+
+        try {
+            while (ids.length > 0) {
+                await this._pushDoc(ids[0]);
+                ids.shift();
+            }
+        } finally {
+            // Whatever was not pushed goes back on the queue
+            if (ids.length > 0) {
+                await this._update(s => { s.queue = [...new Set([...ids, ...s.queue])]; });
+            }
+        }
+
+        let auditIds = [];
+        await this._update(s => {
+            auditIds = s.auditQueue;
+            s.auditQueue = [];
+        });
+        if (auditIds.length === 0) return;
+
+        const wanted = new Set(auditIds);
+        const entries = (await Storage.getAudit()).filter(e => wanted.has(e.id));
+        try {
+            await this._request('POST', '/api/audit', { entries });
+        } catch (err) {
+            await this._update(s => { s.auditQueue = [...new Set([...auditIds, ...s.auditQueue])]; });
+            throw err;
+        }
+    },
+
+    async _localValue(id) {
+        if (id === 'areas') return Storage.getAreasDocument();
+        if (id === 'users') return Storage.getUsers();
+
+        const dateStr = id.slice('attendance/'.length);
+        return (await Storage.getAttendanceRange(dateStr, dateStr))[dateStr];
+    },
+
+    // On a conflict the server sends its current copy; merge it in and try
+    // again with its rev.
+    async _pushDoc(id) {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const value = await this._localValue(id);
+            if (value === undefined) return; // date removed locally by retention cleanup
+
+            const base = await Storage.getSyncBase(id);
+            const stamp = id.startsWith('attendance/')
+                ? { updatedAt: value.updatedAt, updatedBy: value.updatedBy }
+                : { updatedAt: Date.now(), updatedBy: Auth.getCurrentUser()?.username || null };
+
+            const res = await this._request('PUT', `/api/docs/${id}`, { baseRev: base?.rev || 0, ...stamp, value });
+            if (!res.conflict) {
+                await Storage.saveSyncBase(id, { rev: res.rev, value });
+                return;
+            }
+            if (!(await this._applyRemote(res.conflict, false))) return;
+        }
+        throw new Error(`${id} keeps changing on the server; will retry`);
+    },
+
+    // Applies a server document locally. Returns true when the local copy
+    // still has changes the server lacks. With requeue, the queue entry is
+    // updated to match.
+    async _applyRemote(doc, requeue) {
+        // The server has no copy (e.g. it was reset): ours has to be sent
+        if (doc.value === null || doc.value === undefined) {
+            await Storage.saveSyncBase(doc.id, { rev: doc.rev || 0, value: null });
+            return true;
+        }
+
+        const setQueued = pending => {
+            if (!requeue) return;
+            this._update(s => {
+                s.queue = s.queue.filter(q => q !== doc.id);
+                if (pending) s.queue.push(doc.id);
+            });
+        };
+
+        if (doc.id.startsWith('attendance/')) {
+            const dateStr = doc.id.slice('attendance/'.length);
+            return Attendance._serial(async () => {
+                const base = await Storage.getSyncBase(doc.id);
+                const local = (await Storage.getAttendanceRange(dateStr, dateStr))[dateStr];
+                const merged = local ? this.mergeDay(base?.value, local, doc.value) : doc.value;
+                const pending = this._stable(merged) !== this._stable(doc.value);
+
+                const saving = this._applyQuietly(() => Storage.saveAttendanceForDate(dateStr, merged));
+                setQueued(pending);
+                await saving;
+                await Storage.saveSyncBase(doc.id, { rev: doc.rev, value: doc.value });
+                return pending;
+            });
+        }
+
+        const base = await Storage.getSyncBase(doc.id);
+        // Read and saved with nothing awaited in between, so no local edit slips past
+        const isUsers = doc.id === 'users';
+        const merged = this._mergeDocument(base?.value, isUsers ? Storage.getUsers() : Storage.getAreasDocument(), doc.value, isUsers);
+        const pending = this._stable(merged) !== this._stable(doc.value);
+
+        const saving = this._applyQuietly(() => (isUsers ? Storage.saveUsers(merged) : Storage.saveAreasDocument(merged)));
+        setQueued(pending);
+        await saving;
+        await Storage.saveSyncBase(doc.id, { rev: doc.rev, value: doc.value });
+        return pending;
+    },
+
+    // Merges the users list or the areas document. Before the first sync with
+    // a server (no base) a record both sides have keeps the server's version.
+    _mergeDocument(base, local, remote, isUsers) {
+        const pick = base ? undefined : (l, r) => r;
+        if (isUsers) {
+            const byName = list => new Map((list || []).map(u => [u.username, u]));
+            return [...this.mergeRecords(byName(base), byName(local), byName(remote), pick).values()];
+        }
+        const records = this.mergeRecords(this.areaRecords(base), this.areaRecords(local), this.areaRecords(remote), pick);
+        return this._areasFromRecords(records, remote.areaGroups);
+    },
+
+    // The areas document as keyed records { data, updatedAt, updatedBy }:
+    // 'area:<name>' ({ archived, group }), 'group:<id>' and 'levels'. Areas
+    // keep their order; group membership travels with the area.
+    areaRecords(doc) {
+        const records = new Map();
+        if (!doc) return records;
+        const stamps = doc.stamps || {};
+        const groups = doc.areaGroups || {};
+        const add = (key, data) => records.set(key, { data, ...stamps[key] });
+
+        (doc.areas || []).forEach(name => add(`area:${name}`, { archived: false, group: groups.areaGroup?.[name] || null }));
+        (doc.archivedAreas || []).forEach(name => add(`area:${name}`, { archived: true, group: groups.areaGroup?.[name] || null }));
+        (groups.groups || []).forEach(g => add(`group:${g.id}`, g));
+        if (groups.levels) add('levels', groups.levels);
+        return records;
+    },
+
+    _areasFromRecords(records, remoteGroups) {
+        const doc = {
+            areas: [],
+            archivedAreas: [],
+            areaGroups: { ...remoteGroups, levels: CONFIG.DEFAULT_AREA_LEVELS.slice(), groups: [], areaGroup: {} },
+            stamps: {}
+        };
+        records.forEach((record, key) => {
+            if (record.updatedAt !== undefined) doc.stamps[key] = { updatedAt: record.updatedAt, updatedBy: record.updatedBy };
+            if (key === 'levels') {
+                doc.areaGroups.levels = record.data;
+            } else if (key.startsWith('group:')) {
+                doc.areaGroups.groups.push(record.data);
+            } else {
+                const name = key.slice('area:'.length);
+                (record.data.archived ? doc.archivedAreas : doc.areas).push(name);
+                if (record.data.group) doc.areaGroups.areaGroup[name] = record.data.group;
+            }
+        });
+        // An area may point at a group deleted on the other device
+        const groupIds = new Set(doc.areaGroups.groups.map(g => g.id));
+        Object.keys(doc.areaGroups.areaGroup).forEach(name => {
+            if (!groupIds.has(doc.areaGroups.areaGroup[name])) delete doc.areaGroups.areaGroup[name];
+        });
+        return doc;
+    },
+
+    // True when a and b hold the same content, whatever their stamps.
+    sameRecord(a, b) {
+        if (!a || !b) return false;
+        const { updatedAt: aAt, updatedBy: aBy, ...restA } = a;
+        const { updatedAt: bAt, updatedBy: bBy, ...restB } = b;
+        return this._stable(restA) === this._stable(restB);
+    },
+
+    // Three-way merge of keyed records (Maps): a record on both sides takes
+    // pick(local, remote), by default the newer one; a record missing on one
+    // side counts as deleted only if the other side still holds the synced
+    // copy. Keeps the remote order, then records only found here.
+    mergeRecords(base, local, remote, pick) {
+        const same = (a, b) => this._stable(a) === this._stable(b);
+        const merged = new Map();
+        new Set([...remote.keys(), ...local.keys()]).forEach(key => {
+            const lr = local.get(key);
+            const rr = remote.get(key);
+            if (lr && rr) {
+                merged.set(key, pick ? pick(lr, rr) : this._newer(lr, rr));
+            } else if (lr) {
+                // Gone on the server: deleted there unless edited here since
+                if (!(base.has(key) && same(base.get(key), lr))) merged.set(key, lr);
+            } else if (!(base.has(key) && same(base.get(key), rr))) {
+                merged.set(key, rr);
+            }
+        });
+        return merged;
+    },
+
+    // JSON with object keys sorted, for comparing documents.
+    _stable(v) {
+        if (Array.isArray(v)) return `[${v.map(x => this._stable(x)).join(',')}]`;
+        if (v && typeof v === 'object') {
+            return `{${Object.keys(v).sort().filter(k => v[k] !== undefined)
+                .map(k => `${JSON.stringify(k)}:${this._stable(v[k])}`).join(',')}}`;
+        }
+        return JSON.stringify(v);
+    },
+
+    _newer(a, b) {
+        if ((a.updatedAt || 0) !== (b.updatedAt || 0)) return (a.updatedAt || 0) > (b.updatedAt || 0) ? a : b;
+        if ((a.updatedBy || '') !== (b.updatedBy || '')) return (a.updatedBy || '') > (b.updatedBy || '') ? a : b;
+        return this._stable(a) >= this._stable(b) ? a : b;
+    },
+
+    // Three-way merge of one date: base is the last synced server copy (may
+    // be missing), local and remote the two current versions. Areas and rows
+    // keep the server's order, so both devices end up with the same record.
+    mergeDay(base, local, remote) {
+        const merged = { ...remote, ...local, areas: {} };
+
+        const areaNames = [...new Set([...Object.keys(remote.areas || {}), ...Object.keys(local.areas || {})])];
+        areaNames.forEach(areaName => {
+            const rowsOf = day => day?.areas?.[areaName]?.rows || [];
+            const byKey = day => new Map(rowsOf(day).map(r => [r.designationKey, r]));
+            const rows = [...this.mergeRecords(byKey(base), byKey(local), byKey(remote)).values()];
+
+            const inLocal = !!local.areas?.[areaName];
+            const inRemote = !!remote.areas?.[areaName];
+            const inBase = !!base?.areas?.[areaName];
+            // An area dropped on one side (e.g. renamed) stays dropped if it has no rows left
+            if (rows.length > 0 || (inLocal && inRemote) || !inBase) {
+                merged.areas[areaName] = { ...remote.areas?.[areaName], ...local.areas?.[areaName], rows };
+            }
+        });
+
+        this.mergeDayStamps(merged, local, remote);
+        return merged;
+    },
+
+    // Day status and the last-updated stamp come from whichever side changed them last.
+    mergeDayStamps(merged, local, remote) {
+        const statusAt = day => Math.max(day.closedAt || 0, day.reopenedAt || 0);
+        const statusFrom = statusAt(remote) > statusAt(local) ? remote : local;
+        ['status', 'closedAt', 'closedBy', 'reopenedAt', 'reopenedBy', 'reopenReason'].forEach(field => {
+            if (statusFrom[field] === undefined) delete merged[field];
+            else merged[field] = statusFrom[field];
+        });
+        const stampFrom = (remote.updatedAt || 0) > (local.updatedAt || 0) ? remote : local;
+        merged.updatedAt = stampFrom.updatedAt;
+        merged.updatedBy = stampFrom.updatedBy;
+    }
+};
+
+// ============================================
+// VIEW CONTROLLERS
+// ============================================
+const HomeView = {
+    init() {
+        const dateInput = document.getElementById('home-date');
+        if (dateInput) {
+            dateInput.value = Utils.getTodayString();
+            dateInput.addEventListener('change', () => this.render());
+        }
+
+        const printBtn = document.getElementById('home-print-btn');
+        if (printBtn) {
+            printBtn.addEventListener('click', () => {
+                ReportView.print(document.getElementById('home-date')?.value || Utils.getTodayString());
+            });
+        }
+
+        const editBtn = document.getElementById('home-edit-today-btn');
+        if (editBtn) {
+            editBtn.addEventListener('click', () => {
+                const ed = document.getElementById('entry-date');
+                if (ed) ed.value = Utils.getTodayString();
+                UI.switchView('entry');
+                EntryView.render();
+            });
+        }
+
+        this.render();
+    },
+
+    async render() {
+        const user = Auth.getCurrentUser();
+        if (!user) return;
+
+        const dateStr = document.getElementById('home-date')?.value || Utils.getTodayString();
+        const areas = await Areas.getReportAreas(user, [dateStr]);
+
+        const totalPresent = await Attendance.getGrandTotal(dateStr, areas);
+        Utils.setText(document.getElementById('home-total-present'), totalPresent);
+
+        let confirmedCount = 0;
+        let totalAreas = 0;
+        // Lists are built off-page and swapped in once complete, so renders
+        // that overlap while waiting on storage can't interleave their rows
+        const unconfirmedList = document.getElementById('home-unconfirmed-list');
+        if (unconfirmedList) {
+            const chips = document.createElement('div');
+
+            for (const areaName of areas) {
+                const { confirmed, rows } = await Attendance.getAreaTotals(dateStr, areaName);
+                if (rows > 0) {
+                    totalAreas++;
+                    confirmedCount += confirmed;
+
+                    if (confirmed < rows) {
+                        const chip = document.createElement('div');
+                        chip.className = 'unconfirmed-chip';
+                        Utils.setText(chip, `${areaName} (${confirmed}/${rows})`);
+                        chips.appendChild(chip);
+                    }
+                }
+            }
+
+            if (chips.children.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'unconfirmed-empty';
+                Utils.setText(empty, 'All areas confirmed');
+                chips.appendChild(empty);
+            }
+            unconfirmedList.replaceChildren(...chips.children);
+        }
+
+        Utils.setText(document.getElementById('home-confirmed-count'), `${confirmedCount} / ${totalAreas || areas.length}`);
+        await UI.renderDayStatus(document.getElementById('home-day-status'), dateStr);
+
+        let totalPlanned = 0;
+        let plannedActual = 0;
+        let understaffedCount = 0;
+
+        const tbody = document.querySelector('#home-table tbody');
+        if (tbody) {
+            const body = document.createElement('tbody');
+            for (const item of Areas.getRows(areas)) {
+                if (item.type === 'group') {
+                    await this.renderGroupRow(body, dateStr, item);
+                    continue;
+                }
+
+                const areaName = item.name;
+                const { total, confirmed, rows } = await Attendance.getAreaTotals(dateStr, areaName);
+                const area = await Attendance.getAreaData(dateStr, areaName);
+                const lastUpdate = area.rows.length > 0
+                    ? Math.max(...area.rows.map(r => r.updatedAt || 0))
+                    : null;
+                const plan = await Plans.getVariance(dateStr, areaName);
+                if (plan.planned !== null) {
+                    totalPlanned += plan.planned;
+                    plannedActual += total;
+                }
+                if (plan.understaffed) understaffedCount++;
+
+                const row = body.insertRow();
+                if (plan.understaffed) row.className = 'understaffed';
+                const nameCell = row.insertCell();
+                Utils.setText(nameCell, areaName);
+                this.indent(nameCell, item.depth);
+                Utils.setText(row.insertCell(), plan.planned !== null ? String(plan.planned) : '-');
+                Utils.setText(row.insertCell(), total);
+                Utils.setText(row.insertCell(), Plans.formatVariance(plan));
+                Utils.setText(row.insertCell(), rows > 0 ? `${confirmed}/${rows}` : '-');
+                Utils.setText(row.insertCell(), lastUpdate ? Utils.formatDateTime(lastUpdate) : '-');
+            }
+            tbody.replaceChildren(...body.rows);
+        }
+
+        const plannedEl = document.getElementById('home-total-planned');
+        Utils.setText(plannedEl, totalPlanned > 0 ? String(totalPlanned) : '-');
+        const varianceEl = document.getElementById('home-plan-variance');
+        if (totalPlanned > 0) {
+            const diff = plannedActual - totalPlanned;
+            Utils.setText(varianceEl, `${diff > 0 ? '+' : ''}${diff} vs plan` +
+                (understaffedCount > 0 ? ` · ${understaffedCount} area(s) understaffed` : ''));
+        } else {
+            Utils.setText(varianceEl, 'No plan set');
+        }
+    },
+
+    // Subtotal row for a site/zone group, above the areas it contains.
+    async renderGroupRow(tbody, dateStr, item) {
+        let confirmed = 0;
+        let rows = 0;
+        for (const areaName of item.areas) {
+            const totals = await Attendance.getAreaTotals(dateStr, areaName);
+            confirmed += totals.confirmed;
+            rows += totals.rows;
+        }
+        const plan = await Plans.getGroupVariance(dateStr, item.areas);
+        const subtotal = await Attendance.getGrandTotal(dateStr, item.areas);
+
+        const row = tbody.insertRow();
+        row.className = plan.understaffed ? 'group-row understaffed' : 'group-row';
+        const nameCell = row.insertCell();
+        Utils.setText(nameCell, `${Areas.getLevelName(item.group)}: ${item.group.name}`);
+        this.indent(nameCell, item.depth);
+        Utils.setText(row.insertCell(), plan.planned !== null ? String(plan.planned) : '-');
+        Utils.setText(row.insertCell(), String(subtotal));
+        Utils.setText(row.insertCell(), Plans.formatVariance(plan));
+        Utils.setText(row.insertCell(), rows > 0 ? `${confirmed}/${rows}` : '-');
+        Utils.setText(row.insertCell(), '');
+    },
+
+    indent(cell, depth) {
+        if (depth > 0) cell.style.paddingLeft = `${depth * 1.25 + 0.75}rem`;
+    }
+};
+
+// Printable daily report. It is built into #print-report, which print CSS
+// shows on its own while the rest of the app is hidden.
+const ReportView = {
+    async print(dateStr) {
+        const user = Auth.getCurrentUser();
+        const container = document.getElementById('print-report');
+        if (!user || !container) return;
+
+        await this.render(container, dateStr, user);
+        document.body.classList.add('printing');
+
+        const done = () => {
+            document.body.classList.remove('printing');
+            window.removeEventListener('afterprint', done);
+        };
+        window.addEventListener('afterprint', done);
+        window.print();
+    },
+
+    async render(container, dateStr, user) {
+        const el = (tag, className, text) => {
+            const node = document.createElement(tag);
+            if (className) node.className = className;
+            if (text !== undefined) Utils.setText(node, String(text));
+            return node;
+        };
+
+        // Built off-page and swapped in at the end, like the Home lists
+        const page = document.createDocumentFragment();
+        const areas = await Areas.getReportAreas(user, [dateStr]);
+        const data = await Storage.getAttendanceForDate(dateStr);
+        const status = data.status || 'open';
+        const day = new Date(`${dateStr}T00:00:00`).toLocaleDateString(undefined, {
+            weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+        });
+
+        const header = el('div', 'report-header');
+        header.appendChild(el('h1', null, Storage.getSettings().projectName || 'Headcount Tracker'));
+        header.appendChild(el('h2', null, `Daily Manpower Report — ${day}`));
+        header.appendChild(el('p', 'report-meta',
+            `Date: ${dateStr} · Day status: ${status.toUpperCase()} · Printed ${Utils.formatDateTime(Date.now())} by ${user.username}`));
+        page.appendChild(header);
+
+        let confirmedAreas = 0;
+        let startedAreas = 0;
+        const empty = [];
+        const blocks = el('div', 'report-areas');
+        let inGroup = false;
+
+        for (const item of Areas.getRows(areas)) {
+            if (item.type === 'group') {
+                const subtotal = await Attendance.getGrandTotal(dateStr, item.areas);
+                blocks.appendChild(el('h3', 'report-group',
+                    `${Areas.getLevelName(item.group)}: ${item.group.name} — ${subtotal} present`));
+                inGroup = true;
+                continue;
+            }
+
+            const { total, confirmed, rows } = await Attendance.getAreaTotals(dateStr, item.name);
+            if (rows === 0) {
+                empty.push(item.name);
+                continue;
+            }
+            // Keep ungrouped areas from reading as part of the group above
+            if (inGroup && item.depth === 0) {
+                blocks.appendChild(el('h3', 'report-group', 'Other areas'));
+                inGroup = false;
+            }
+            startedAreas++;
+            if (confirmed === rows) confirmedAreas++;
+
+            const block = el('div', 'report-area');
+            const title = el('h4', null, item.name);
+            title.appendChild(el('span', 'report-area-status',
+                confirmed === rows ? 'Confirmed' : `${confirmed}/${rows} confirmed`));
+            block.appendChild(title);
+
+            const table = el('table');
+            const head = table.createTHead().insertRow();
+            ['Designation', 'Present', 'Confirmed'].forEach(h => head.appendChild(el('th', null, h)));
+            const body = table.createTBody();
+            (await Attendance.getAreaData(dateStr, item.name)).rows.forEach(row => {
+                const tr = body.insertRow();
+                Utils.setText(tr.insertCell(), row.designationLabel);
+                Utils.setText(tr.insertCell(), row.present !== null ? String(row.present) : '-');
+                Utils.setText(tr.insertCell(), row.confirmed ? '✓' : '');
+            });
+            const foot = table.createTFoot().insertRow();
+            Utils.setText(foot.insertCell(), 'Subtotal');
+            Utils.setText(foot.insertCell(), String(total));
+            foot.insertCell();
+            block.appendChild(table);
+            blocks.appendChild(block);
+        }
+
+        page.appendChild(blocks);
+
+        if (empty.length > 0) {
+            page.appendChild(el('p', 'report-empty', `No entries: ${empty.join(', ')}`));
+        }
+
+        const totals = el('div', 'report-total');
+        totals.appendChild(el('span', null, `Grand total: ${await Attendance.getGrandTotal(dateStr, areas)} present`));
+        totals.appendChild(el('span', null, `${confirmedAreas} of ${startedAreas} area(s) fully confirmed`));
+        page.appendChild(totals);
+
+        const signatures = el('div', 'report-signatures');
+        ['Prepared by', 'Checked by', 'Approved by (Site Manager)'].forEach(role => {
+            const box = el('div', 'report-signature');
+            box.appendChild(el('div', 'report-signature-role', role));
+            ['Name', 'Signature', 'Date'].forEach(line => box.appendChild(el('div', 'report-signature-line', line)));
+            signatures.appendChild(box);
+        });
+        page.appendChild(signatures);
+        container.replaceChildren(page);
+    }
+};
+
+const EntryView = {
+    debounceTimers: {},
+    stale: false,
+    rowSaves: {},
+    ownWrites: {},
+
+    init() {
+        const dateInput = document.getElementById('entry-date');
+        if (dateInput) {
+            dateInput.value = Utils.getTodayString();
+            dateInput.addEventListener('change', () => this.render());
+        }
+
+        const saveBtn = document.getElementById('entry-save-btn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                UI.showToast('Saved', 'success');
+            });
+        }
+
+        const confirmBtn = document.getElementById('entry-confirm-all-btn');
+        if (confirmBtn) {
+            confirmBtn.addEventListener('click', () => this.confirmAll());
+        }
+
+        const clearBtn = document.getElementById('entry-clear-all-btn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                UI.confirm('Clear all entries for this date?', () => this.clearAll());
+            });
+        }
+
+        const auditBtn = document.getElementById('entry-show-audit-btn');
+        if (auditBtn) {
+            auditBtn.addEventListener('click', () => this.showAudit());
+        }
+
+        const auditCloseBtn = document.getElementById('audit-close-btn');
+        if (auditCloseBtn) {
+            auditCloseBtn.addEventListener('click', () => {
+                const drawer = document.getElementById('audit-drawer');
+                if (drawer) drawer.style.display = 'none';
+            });
+        }
+
+        const openLogBtn = document.getElementById('audit-open-log-btn');
+        if (openLogBtn) {
+            openLogBtn.addEventListener('click', () => {
+                const dateStr = document.getElementById('entry-date')?.value || Utils.getTodayString();
+                const drawer = document.getElementById('audit-drawer');
+                if (drawer) drawer.style.display = 'none';
+                UI.switchView('audit');
+                AuditView.showDate(dateStr);
+            });
+        }
+
+        const closeDayBtn = document.getElementById('entry-close-day-btn');
+        if (closeDayBtn) {
+            closeDayBtn.addEventListener('click', () => this.closeDay());
+        }
+
+        const reopenDayBtn = document.getElementById('entry-reopen-day-btn');
+        if (reopenDayBtn) {
+            reopenDayBtn.addEventListener('click', () => this.showReopenModal());
+        }
+
+        const copyBtn = document.getElementById('entry-copy-btn');
+        if (copyBtn) {
+            copyBtn.addEventListener('click', () => this.showCopyModal());
+        }
+
+        const areasContainer = document.getElementById('entry-areas-container');
+        if (areasContainer) {
+            areasContainer.addEventListener('focusout', () => {
+                if (!this.stale) return;
+                this.stale = false;
+                // A change event fires before focusout; let its save finish first
+                Attendance._serial(() => {}).then(() => this.render());
+            });
+        }
+
+        this.render();
+    },
+
+    async render() {
+        const user = Auth.getCurrentUser();
+        if (!user) return;
+
+        const dateStr = document.getElementById('entry-date')?.value || Utils.getTodayString();
+        const areas = Areas.getActive(user);
+
+        await Templates.applyToEmptyAreas(dateStr, areas);
+        const data = await Storage.getAttendanceForDate(dateStr);
+        const closed = data.status === 'closed';
+        await this.renderDayStatus(dateStr, user, closed);
+
+        const container = document.getElementById('entry-areas-container');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        areas.forEach(areaName => {
+            const card = document.createElement('div');
+            card.className = 'entry-area-card';
+
+            const header = document.createElement('div');
+            header.className = 'entry-area-header';
+            Utils.setText(header, areaName);
+            card.appendChild(header);
+
+            const areaData = data.areas[areaName] || { rows: [] };
+            const rows = areaData.rows || [];
+
+            const table = document.createElement('table');
+            table.className = 'entry-area-table';
+
+            const thead = table.createTHead();
+            const headerRow = thead.insertRow();
+            ['Designation', 'Present', 'Confirm', 'Updated'].forEach(label => {
+                const th = document.createElement('th');
+                Utils.setText(th, label);
+                headerRow.appendChild(th);
+            });
+
+            const tbody = table.createTBody();
+            rows.forEach(row => {
+                const tr = tbody.insertRow();
+
+                const tdDesig = tr.insertCell();
+                Utils.setText(tdDesig, row.designationLabel);
+
+                const tdPresent = tr.insertCell();
+                const inputPresent = document.createElement('input');
+                inputPresent.type = 'number';
+                inputPresent.min = '0';
+                inputPresent.value = row.present !== null ? row.present : '';
+                inputPresent.disabled = closed;
+                inputPresent.addEventListener('change', () => {
+                    const val = inputPresent.value === '' ? null : parseInt(inputPresent.value);
+                    this.saveRow(dateStr, areaName, row, { present: val });
+                });
+                tdPresent.appendChild(inputPresent);
+
+                const tdConfirm = tr.insertCell();
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = row.confirmed;
+                checkbox.disabled = closed;
+                checkbox.addEventListener('change', async () => {
+                    // The count may still be saving, so check the field rather than the row
+                    if (checkbox.checked && inputPresent.value === '') {
+                        checkbox.checked = false;
+                        UI.showToast('Cannot confirm without a present count', 'warning');
+                        return;
+                    }
+                    await this.saveRow(dateStr, areaName, row, { confirmed: checkbox.checked });
+                });
+                tdConfirm.appendChild(checkbox);
+
+                const tdUpdated = tr.insertCell();
+                Utils.setText(tdUpdated, row.updatedAt ? Utils.formatDateTime(row.updatedAt) : '-');
+            });
+
+            card.appendChild(table);
+
+            if (closed) {
+                container.appendChild(card);
+                return;
+            }
+
+            const addSection = document.createElement('div');
+            addSection.className = 'entry-add-section';
+
+            const inputLabel = document.createElement('input');
+            inputLabel.type = 'text';
+            inputLabel.placeholder = 'Add designation...';
+            inputLabel.className = 'entry-designation-input';
+
+            const suggestions = document.createElement('div');
+            suggestions.className = 'entry-suggestions';
+            suggestions.style.display = 'none';
+
+            inputLabel.addEventListener('input', () => {
+                const sugg = DesignationMgr.getSuggestions(inputLabel.value, areaName);
+                suggestions.innerHTML = '';
+                if (inputLabel.value && sugg.length > 0) {
+                    sugg.forEach(s => {
+                        const div = document.createElement('div');
+                        div.className = 'entry-suggestion-item';
+                        Utils.setText(div, s);
+                        div.addEventListener('click', () => {
+                            inputLabel.value = s;
+                            suggestions.style.display = 'none';
+                            this.addDesignation(dateStr, areaName, s);
+                        });
+                        suggestions.appendChild(div);
+                    });
+                    suggestions.style.display = 'block';
+                } else {
+                    suggestions.style.display = 'none';
+                }
+            });
+
+            inputLabel.addEventListener('keypress', async (e) => {
+                if (e.key === 'Enter' && inputLabel.value.trim()) {
+                    suggestions.style.display = 'none';
+                    if (await this.addDesignation(dateStr, areaName, inputLabel.value.trim())) {
+                        inputLabel.value = '';
+                    }
+                }
+            });
+
+            addSection.appendChild(inputLabel);
+            addSection.appendChild(suggestions);
+            card.appendChild(addSection);
+
+            const clearBtn = document.createElement('button');
+            clearBtn.className = 'btn btn-danger btn-sm';
+            Utils.setText(clearBtn, 'Clear Area');
+            clearBtn.addEventListener('click', () => {
+                UI.confirm(`Clear all entries for ${areaName}?`, async () => {
+                    try {
+                        await Attendance.clearArea(dateStr, areaName);
+                    } catch (err) {
+                        UI.showToast(err.message, 'error');
+                    }
+                    this.render();
+                });
+            });
+            card.appendChild(clearBtn);
+
+            const copyAreaBtn = document.createElement('button');
+            copyAreaBtn.className = 'btn btn-secondary btn-sm';
+            Utils.setText(copyAreaBtn, 'Copy from Day...');
+            copyAreaBtn.addEventListener('click', () => this.showCopyModal(areaName));
+            card.appendChild(copyAreaBtn);
+
+            container.appendChild(card);
+        });
+    },
+
+    // Saves an edit to a row as it was rendered. If another tab or device
+    // changed the row since, the stored version is shown and the user picks
+    // which one to keep. Saves to one row run in turn, so a quick second edit
+    // starts from the first one's result rather than conflicting with it.
+    saveRow(dateStr, areaName, row, updates) {
+        const id = `${dateStr}|${areaName}|${row.designationKey}`;
+        const run = (this.rowSaves[id] || Promise.resolve()).then(() => this._saveRow(id, dateStr, areaName, row, updates));
+        this.rowSaves[id] = run;
+        run.then(() => {
+            if (this.rowSaves[id] === run) delete this.rowSaves[id];
+        });
+        return run;
+    },
+
+    async _saveRow(id, dateStr, areaName, row, updates) {
+        // A row rendered before this tab's last save committed still carries
+        // the stamp that save replaced; that change was ours, not a conflict.
+        const own = this.ownWrites[id];
+        const expected = own && row.updatedAt === own.from ? own.to : row.updatedAt;
+        try {
+            const saved = await Attendance.updateRow(dateStr, areaName, row.designationKey, updates, expected);
+            if (saved) this.ownWrites[id] = { from: expected, to: saved.updatedAt };
+            Object.assign(row, saved);
+            UI.showToast('Saved', 'success');
+        } catch (err) {
+            if (!err.conflict) {
+                UI.showToast(err.message, 'error');
+                this.render();
+                return;
+            }
+            await this.render();
+            this.showConflict(dateStr, areaName, err, updates);
+        }
+    },
+
+    showConflict(dateStr, areaName, err, updates) {
+        const theirs = err.conflict;
+        const describe = r => `${r.present === null ? 'blank' : r.present}, ${r.confirmed ? 'confirmed' : 'not confirmed'}`;
+        const mine = { ...theirs, ...updates };
+
+        const overlay = UI.showModal('Changed Elsewhere', `
+            <p id="conflict-message"></p>
+            <p id="conflict-theirs"></p>
+            <p id="conflict-mine"></p>
+        `, [
+            { text: 'Take Theirs', className: 'btn-secondary' },
+            {
+                text: 'Keep Mine',
+                className: 'btn-primary',
+                onClick: async () => {
+                    if (mine.confirmed && mine.present === null) {
+                        UI.showToast('Cannot confirm without a present count', 'warning');
+                        return;
+                    }
+                    try {
+                        await Attendance.updateRow(dateStr, areaName, theirs.designationKey, updates, theirs.updatedAt);
+                        UI.showToast('Saved', 'success');
+                    } catch (e) {
+                        UI.showToast(e.message, 'error');
+                    }
+                    this.render();
+                }
+            }
+        ]);
+
+        Utils.setText(overlay.querySelector('#conflict-message'), `${err.message}.`);
+        Utils.setText(overlay.querySelector('#conflict-theirs'), `Theirs: ${describe(theirs)}`);
+        Utils.setText(overlay.querySelector('#conflict-mine'), `Mine: ${describe(mine)}`);
+    },
+
+    // Another tab or device changed data. A field being edited is not
+    // replaced under the user; the view refreshes when it loses focus.
+    refresh() {
+        const container = document.getElementById('entry-areas-container');
+        const active = document.activeElement;
+        if (container?.contains(active) && active.tagName === 'INPUT') {
+            this.stale = true;
+            return;
+        }
+        this.render();
+    },
+
+    async addDesignation(dateStr, areaName, label) {
+        try {
+            await Attendance.addOrUpdateRow(dateStr, areaName, label);
+        } catch (err) {
+            UI.showToast(err.message, 'error');
+            return false;
+        }
+        this.render();
+        return true;
+    },
+
+    async renderDayStatus(dateStr, user, closed) {
+        await UI.renderDayStatus(document.getElementById('entry-day-status-label'), dateStr);
+
+        const detail = document.getElementById('entry-day-status-detail');
+        const data = await Storage.getAttendanceForDate(dateStr);
+        if (closed) {
+            Utils.setText(detail, `Read-only. Closed by ${data.closedBy} at ${Utils.formatDateTime(data.closedAt)}.`);
+        } else if (data.status === 'reopened') {
+            Utils.setText(detail, `Reopened by ${data.reopenedBy}: ${data.reopenReason}`);
+        } else {
+            Utils.setText(detail, '');
+        }
+
+        const isAdmin = user.role === 'admin';
+        const closeDayBtn = document.getElementById('entry-close-day-btn');
+        if (closeDayBtn) closeDayBtn.style.display = isAdmin && !closed ? 'inline-block' : 'none';
+        const reopenDayBtn = document.getElementById('entry-reopen-day-btn');
+        if (reopenDayBtn) reopenDayBtn.style.display = isAdmin && closed ? 'inline-block' : 'none';
+
+        ['entry-confirm-all-btn', 'entry-clear-all-btn', 'entry-copy-btn'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.disabled = closed;
+        });
+    },
+
+    async closeDay() {
+        const dateStr = document.getElementById('entry-date')?.value || Utils.getTodayString();
+        const blocker = await Attendance.getCloseBlockers(dateStr);
+        if (blocker) {
+            UI.showToast(blocker, 'warning');
+            return;
+        }
+
+        UI.confirm(`Close ${dateStr}? Entries become read-only until an admin reopens the day.`, async () => {
+            try {
+                await Attendance.closeDay(dateStr);
+                UI.showToast(`${dateStr} closed`, 'success');
+            } catch (err) {
+                UI.showToast(err.message, 'error');
+            }
+            this.render();
+        });
+    },
+
+    showReopenModal() {
+        const dateStr = document.getElementById('entry-date')?.value || Utils.getTodayString();
+        const bodyHTML = `
+            <div class="form-group">
+                <label for="reopen-reason">Reason for reopening:</label>
+                <textarea id="reopen-reason" rows="3"></textarea>
+            </div>
+            <div id="reopen-error" class="error-message"></div>
+        `;
+
+        UI.showModal(`Reopen ${dateStr}`, bodyHTML, [
+            { text: 'Cancel', className: 'btn-secondary' },
+            {
+                text: 'Reopen',
+                className: 'btn-danger',
+                closeOnClick: false,
+                onClick: async () => {
+                    const reason = document.getElementById('reopen-reason')?.value;
+                    try {
+                        await Attendance.reopenDay(dateStr, reason);
+                    } catch (err) {
+                        Utils.setText(document.getElementById('reopen-error'), err.message);
+                        return;
+                    }
+
+                    document.querySelector('.modal-overlay')?.remove();
+                    UI.showToast(`${dateStr} reopened`, 'success');
+                    this.render();
+                }
+            }
+        ]);
+    },
+
+    async showCopyModal(presetArea) {
+        const user = Auth.getCurrentUser();
+        if (!user) return;
+
+        const dateStr = document.getElementById('entry-date')?.value || Utils.getTodayString();
+        const areas = Areas.getActive(user);
+        const previous = await Attendance.findPreviousDate(dateStr, presetArea ? [presetArea] : areas);
+
+        const bodyHTML = `
+            <div class="form-group">
+                <label for="copy-source-date">Copy from:</label>
+                <input type="date" id="copy-source-date" class="date-input">
+            </div>
+            <div class="form-group">
+                <label for="copy-scope">Areas:</label>
+                <select id="copy-scope" class="date-input"></select>
+            </div>
+            <div class="form-group">
+                <label><input type="checkbox" id="copy-with-counts"> Include present counts</label>
+            </div>
+            <p>Designations already on ${dateStr} are kept. Copied rows start unconfirmed.</p>
+            <div id="copy-error" class="error-message"></div>
+        `;
+
+        UI.showModal(`Copy into ${dateStr}`, bodyHTML, [
+            { text: 'Cancel', className: 'btn-secondary' },
+            {
+                text: 'Copy',
+                className: 'btn-primary',
+                closeOnClick: false,
+                onClick: async () => {
+                    const sourceDate = document.getElementById('copy-source-date')?.value;
+                    const scope = document.getElementById('copy-scope')?.value;
+                    const withCounts = document.getElementById('copy-with-counts')?.checked;
+                    const errorDiv = document.getElementById('copy-error');
+
+                    if (!sourceDate || sourceDate >= dateStr) {
+                        Utils.setText(errorDiv, 'Choose a date before the current one');
+                        return;
+                    }
+
+                    let result;
+                    try {
+                        result = await Attendance.copyFromDate(sourceDate, dateStr, scope ? [scope] : areas, withCounts);
+                    } catch (err) {
+                        Utils.setText(errorDiv, err.message);
+                        return;
+                    }
+
+                    const { copied, skipped } = result;
+                    document.querySelector('.modal-overlay')?.remove();
+                    UI.showToast(copied > 0 ? `Copied ${copied} row(s) from ${sourceDate}` : `Nothing new to copy from ${sourceDate}`, copied > 0 ? 'success' : 'info');
+                    if (skipped > 0) {
+                        UI.showToast(`Skipped ${skipped} designation(s) not in the catalog`, 'warning');
+                    }
+                    this.render();
+                }
+            }
+        ]);
+
+        const sourceInput = document.getElementById('copy-source-date');
+        if (sourceInput) {
+            const dayBefore = new Date(dateStr);
+            dayBefore.setUTCDate(dayBefore.getUTCDate() - 1);
+            sourceInput.max = Utils.formatDate(dayBefore);
+            sourceInput.value = previous || Utils.formatDate(dayBefore);
+        }
+
+        const scopeSelect = document.getElementById('copy-scope');
+        if (scopeSelect) {
+            const all = document.createElement('option');
+            all.value = '';
+            Utils.setText(all, 'All my areas');
+            scopeSelect.appendChild(all);
+
+            areas.forEach(areaName => {
+                const opt = document.createElement('option');
+                opt.value = areaName;
+                Utils.setText(opt, areaName);
+                scopeSelect.appendChild(opt);
+            });
+            scopeSelect.value = presetArea || '';
+        }
+    },
+
+    async confirmAll() {
+        const user = Auth.getCurrentUser();
+        if (!user) return;
+
+        const dateStr = document.getElementById('entry-date')?.value || Utils.getTodayString();
+        const areas = Areas.getActive(user);
+        const data = await Storage.getAttendanceForDate(dateStr);
+
+        let count = 0;
+        try {
+            for (const areaName of areas) {
+                for (const row of data.areas[areaName]?.rows || []) {
+                    if (!row.confirmed && row.present !== null && row.present !== '') {
+                        await Attendance.updateRow(dateStr, areaName, row.designationKey, { confirmed: true });
+                        count++;
+                    }
+                }
+            }
+        } catch (err) {
+            UI.showToast(count > 0 ? `${err.message} (${count} row(s) were confirmed)` : err.message, 'error');
+            await this.render();
+            return;
+        }
+
+        await this.render();
+        UI.showToast(`Confirmed ${count} row(s)`, 'success');
+    },
+
+    async clearAll() {
+        const user = Auth.getCurrentUser();
+        if (!user) return;
+
+        const dateStr = document.getElementById('entry-date')?.value || Utils.getTodayString();
+        const areas = Areas.getActive(user);
+
+        try {
+            for (const areaName of areas) {
+                await Attendance.clearArea(dateStr, areaName);
+            }
+        } catch (err) {
+            UI.showToast(err.message, 'error');
+            await this.render();
+            return;
+        }
+
+        await this.render();
+        UI.showToast('All entries cleared', 'success');
+    },
+
+    async showAudit() {
+        const user = Auth.getCurrentUser();
+        if (!user) return;
+
+        const dateStr = document.getElementById('entry-date')?.value || Utils.getTodayString();
+        const filters = { from: dateStr, to: dateStr, attendanceOnly: true };
+        if (user.role !== 'admin') filters.areas = Areas.expandAssigned(user.assignedAreas);
+
+        const list = document.getElementById('audit-list');
+        if (!list) return;
+
+        AuditView.renderEntries(list, await Audit.query(filters));
+
+        const openLogBtn = document.getElementById('audit-open-log-btn');
+        if (openLogBtn) openLogBtn.style.display = user.role === 'admin' ? 'inline-block' : 'none';
+
+        const drawer = document.getElementById('audit-drawer');
+        if (drawer) drawer.style.display = 'block';
+    }
+};
+
+const ExportView = {
+    init() {
+        const dateInput = document.getElementById('export-single-date');
+        if (dateInput) {
             dateInput.value = Utils.getTodayString();
-            dateInput.addEventListener('change', () => this.render());
         }
 
-        const saveBtn = document.getElementById('entry-save-btn');
-        if (saveBtn) {
-            saveBtn.addEventListener('click', () => {
-                UI.showToast('Saved', 'success');
+        const detailedBtn = document.getElementById('export-detailed-btn');
+        if (detailedBtn) {
+            detailedBtn.addEventListener('click', async () => {
+                const date = dateInput?.value || Utils.getTodayString();
+                await Exports.exportDetailed(date);
+                UI.showToast('Exported detailed CSV', 'success');
             });
         }
 
-        const confirmBtn = document.getElementById('entry-confirm-all-btn');
-        if (confirmBtn) {
-            confirmBtn.addEventListener('click', () => this.confirmAll());
+        const areaBtn = document.getElementById('export-area-summary-btn');
+        if (areaBtn) {
+            areaBtn.addEventListener('click', async () => {
+                const date = dateInput?.value || Utils.getTodayString();
+                await Exports.exportAreaSummary(date);
+                UI.showToast('Exported area summary CSV', 'success');
+            });
         }
 
-        const clearBtn = document.getElementById('entry-clear-all-btn');
-        if (clearBtn) {
-            clearBtn.addEventListener('click', () => {
-                UI.confirm('Clear all entries for this date?', () => this.clearAll());
+        const desigBtn = document.getElementById('export-designation-summary-btn');
+        if (desigBtn) {
+            desigBtn.addEventListener('click', async () => {
+                const date = dateInput?.value || Utils.getTodayString();
+                await Exports.exportDesignationSummary(date);
+                UI.showToast('Exported designation summary CSV', 'success');
             });
         }
 
-        const auditBtn = document.getElementById('entry-show-audit-btn');
-        if (auditBtn) {
-            auditBtn.addEventListener('click', () => this.showAudit());
+        const fromInput = document.getElementById('export-range-from');
+        const toInput = document.getElementById('export-range-to');
+        const layoutSelect = document.getElementById('export-range-layout');
+        if (fromInput && toInput) {
+            const weekAgo = new Date();
+            weekAgo.setDate(weekAgo.getDate() - 6);
+            fromInput.value = Utils.formatDate(weekAgo);
+            toInput.value = Utils.getTodayString();
+
+            [fromInput, toInput, layoutSelect].forEach(el => {
+                el?.addEventListener('change', () => this.renderRangeSummary());
+            });
         }
 
-        const auditCloseBtn = document.getElementById('audit-close-btn');
-        if (auditCloseBtn) {
-            auditCloseBtn.addEventListener('click', () => {
-                const drawer = document.getElementById('audit-drawer');
-                if (drawer) drawer.style.display = 'none';
+        const rangeBtn = document.getElementById('export-range-btn');
+        if (rangeBtn) {
+            rangeBtn.addEventListener('click', () => this.exportRange());
+        }
+
+        const singleXlsxBtn = document.getElementById('export-single-xlsx-btn');
+        if (singleXlsxBtn) {
+            singleXlsxBtn.addEventListener('click', async () => {
+                const date = dateInput?.value || Utils.getTodayString();
+                await Exports.exportWorkbook(date, date);
+                UI.showToast('Exported Excel workbook', 'success');
             });
         }
 
-        this.render();
+        const rangeXlsxBtn = document.getElementById('export-range-xlsx-btn');
+        if (rangeXlsxBtn) {
+            rangeXlsxBtn.addEventListener('click', async () => {
+                const { from, to, error } = this.getRange();
+                if (error) {
+                    UI.showToast(error, 'error');
+                    return;
+                }
+                await Exports.exportWorkbook(from, to);
+                UI.showToast('Exported Excel workbook', 'success');
+            });
+        }
+
+        this.renderRangeSummary();
     },
 
-    render() {
+    getRange() {
+        const from = document.getElementById('export-range-from')?.value;
+        const to = document.getElementById('export-range-to')?.value;
+
+        if (!from || !to) return { error: 'Select both dates' };
+        if (from > to) return { error: '"From" date must be on or before "To" date' };
+
+        const days = Utils.getDateRange(from, to).length;
+        if (days > CONFIG.MAX_EXPORT_RANGE_DAYS) {
+            return { error: `Range too long (max ${CONFIG.MAX_EXPORT_RANGE_DAYS} days)` };
+        }
+
+        return { from, to };
+    },
+
+    async renderRangeSummary() {
+        const summaryDiv = document.getElementById('export-range-summary');
+        if (!summaryDiv) return;
+
+        const { from, to, error } = this.getRange();
+        if (error) {
+            Utils.setText(summaryDiv, error);
+            return;
+        }
+
+        const layout = document.getElementById('export-range-layout')?.value || 'long';
+        const s = await Exports.getRangeSummary(from, to);
+
+        const rowsText = layout === 'pivot'
+            ? `${s.areas} area row(s) × ${s.days} date column(s) plus totals`
+            : `${s.rows} designation row(s)`;
+        Utils.setText(summaryDiv, `${s.days} day(s), ${s.daysWithData} with data · ${rowsText} · ${s.total} present in total`);
+    },
+
+    async exportRange() {
+        const { from, to, error } = this.getRange();
+        if (error) {
+            UI.showToast(error, 'error');
+            return;
+        }
+
+        const layout = document.getElementById('export-range-layout')?.value || 'long';
+        if (layout === 'pivot') {
+            await Exports.exportRangePivot(from, to);
+            UI.showToast('Exported pivot CSV', 'success');
+        } else {
+            await Exports.exportRange(from, to);
+            UI.showToast('Exported range CSV', 'success');
+        }
+    }
+};
+
+const ImportView = {
+    items: [],
+
+    init() {
+        const dateInput = document.getElementById('import-date');
+        if (dateInput) {
+            dateInput.value = Utils.getTodayString();
+            dateInput.addEventListener('change', () => this.clear());
+        }
+
+        document.getElementById('import-file-input')?.addEventListener('change', () => this.clear());
+        document.getElementById('import-preview-btn')?.addEventListener('click', () => this.preview());
+        document.getElementById('import-apply-btn')?.addEventListener('click', () => this.apply());
+    },
+
+    clear() {
+        this.items = [];
+        const section = document.getElementById('import-preview-section');
+        if (section) section.style.display = 'none';
+    },
+
+    preview() {
         const user = Auth.getCurrentUser();
+        const input = document.getElementById('import-file-input');
         if (!user) return;
+        if (!input?.files[0]) {
+            UI.showToast('Select a file', 'error');
+            return;
+        }
 
-        const dateStr = document.getElementById('entry-date')?.value || Utils.getTodayString();
-        const areas = user.role === 'admin' ? Storage.getAreas() : user.assignedAreas;
+        const dateStr = document.getElementById('import-date')?.value || Utils.getTodayString();
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            try {
+                this.items = await Imports.preview(e.target.result, dateStr, user);
+            } catch (err) {
+                this.clear();
+                UI.showToast(err.message, 'error');
+                return;
+            }
+            this.render();
+        };
+        reader.readAsText(input.files[0]);
+    },
 
-        const container = document.getElementById('entry-areas-container');
-        if (!container) return;
+    render() {
+        const section = document.getElementById('import-preview-section');
+        const tbody = document.querySelector('#import-preview-table tbody');
+        if (!section || !tbody) return;
 
-        container.innerHTML = '';
+        section.style.display = '';
+        tbody.innerHTML = '';
 
-        areas.forEach(areaName => {
-            const card = document.createElement('div');
-            card.className = 'entry-area-card';
+        const counts = { ok: 0, warning: 0, error: 0, unchanged: 0 };
+        this.items.forEach((item, i) => {
+            const row = tbody.insertRow();
+            let state = 'ok';
+            if (item.errors.length > 0) state = 'error';
+            else if (item.action === 'unchanged') state = 'unchanged';
+            else if (item.warnings.length > 0) state = 'warning';
+            counts[state]++;
+            if (state === 'error' || state === 'warning') row.className = `import-${state}`;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.index = i;
+            checkbox.checked = state === 'ok';
+            checkbox.disabled = state === 'error' || state === 'unchanged';
+            row.insertCell().appendChild(checkbox);
+
+            Utils.setText(row.insertCell(), String(item.line));
+            Utils.setText(row.insertCell(), item.area);
+            Utils.setText(row.insertCell(), item.designation);
+            Utils.setText(row.insertCell(), item.present !== null ? String(item.present) : '');
+            Utils.setText(row.insertCell(), item.confirmed ? 'Yes' : 'No');
+            Utils.setText(row.insertCell(), item.action);
+            Utils.setText(row.insertCell(), [...item.errors, ...item.warnings].join('; '));
+        });
 
-            const header = document.createElement('div');
-            header.className = 'entry-area-header';
-            Utils.setText(header, areaName);
-            card.appendChild(header);
+        Utils.setText(document.getElementById('import-summary'),
+            `${this.items.length} line(s): ${counts.ok} ready, ${counts.warning} to review, ` +
+            `${counts.error} with errors, ${counts.unchanged} unchanged`);
+    },
 
-            const areaData = Attendance.getAreaData(dateStr, areaName);
-            const rows = areaData.rows || [];
+    apply() {
+        const dateStr = document.getElementById('import-date')?.value || Utils.getTodayString();
+        const selected = Array.from(document.querySelectorAll('#import-preview-table tbody input:checked'))
+            .map(c => this.items[parseInt(c.dataset.index, 10)]);
 
-            const table = document.createElement('table');
-            table.className = 'entry-area-table';
+        if (selected.length === 0) {
+            UI.showToast('No lines selected', 'warning');
+            return;
+        }
 
-            const thead = table.createTHead();
-            const headerRow = thead.insertRow();
-            ['Designation', 'Present', 'Confirm', 'Updated'].forEach(label => {
-                const th = document.createElement('th');
-                Utils.setText(th, label);
-                headerRow.appendChild(th);
-            });
+        UI.confirm(`Import ${selected.length} line(s) into ${dateStr}?`, async () => {
+            const fileName = document.getElementById('import-file-input')?.files[0]?.name;
+            const { applied, failed } = await Imports.apply(selected, dateStr, fileName);
+            this.clear();
+
+            if (failed.length > 0) {
+                const list = document.createElement('ul');
+                failed.forEach(msg => {
+                    const li = document.createElement('li');
+                    Utils.setText(li, msg);
+                    list.appendChild(li);
+                });
+                UI.showModal(`Imported ${applied}, ${failed.length} failed`, list.outerHTML, [
+                    { text: 'OK', className: 'btn-primary' }
+                ]);
+            } else {
+                UI.showToast(`Imported ${applied} line(s)`, 'success');
+            }
+        });
+    }
+};
 
-            const tbody = table.createTBody();
-            rows.forEach(row => {
-                const tr = tbody.insertRow();
+const AuditView = {
+    limit: CONFIG.AUDIT_PAGE_SIZE,
 
-                const tdDesig = tr.insertCell();
-                Utils.setText(tdDesig, row.designationLabel);
+    init() {
+        const fromInput = document.getElementById('audit-from');
+        const toInput = document.getElementById('audit-to');
+        if (fromInput && toInput) {
+            const weekAgo = new Date();
+            weekAgo.setDate(weekAgo.getDate() - 6);
+            fromInput.value = Utils.formatDate(weekAgo);
+            toInput.value = Utils.getTodayString();
+        }
 
-                const tdPresent = tr.insertCell();
-                const inputPresent = document.createElement('input');
-                inputPresent.type = 'number';
-                inputPresent.min = '0';
-                inputPresent.value = row.present !== null ? row.present : '';
-                inputPresent.addEventListener('change', () => {
-                    const val = inputPresent.value === '' ? null : parseInt(inputPresent.value);
-                    Attendance.updateRow(dateStr, areaName, row.designationKey, { present: val });
-                    UI.showToast('Saved', 'success');
-                });
-                tdPresent.appendChild(inputPresent);
+        ['audit-from', 'audit-to', 'audit-user', 'audit-area', 'audit-field'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.refresh());
+        });
 
-                const tdConfirm = tr.insertCell();
-                const checkbox = document.createElement('input');
-                checkbox.type = 'checkbox';
-                checkbox.checked = row.confirmed;
-                checkbox.addEventListener('change', () => {
-                    if (checkbox.checked && (row.present === null || row.present === '')) {
-                        checkbox.checked = false;
-                        UI.showToast('Cannot confirm without a present count', 'warning');
-                        return;
-                    }
-                    Attendance.updateRow(dateStr, areaName, row.designationKey, { confirmed: checkbox.checked });
-                    UI.showToast('Saved', 'success');
+        const desigInput = document.getElementById('audit-designation');
+        if (desigInput) {
+            desigInput.addEventListener('input', Utils.debounce(() => this.refresh(), CONFIG.DEBOUNCE_DELAY));
+        }
+
+        const resetBtn = document.getElementById('audit-reset-btn');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                ['audit-from', 'audit-to', 'audit-user', 'audit-area', 'audit-designation', 'audit-field'].forEach(id => {
+                    const el = document.getElementById(id);
+                    if (el) el.value = '';
                 });
-                tdConfirm.appendChild(checkbox);
+                this.refresh();
+            });
+        }
 
-                const tdUpdated = tr.insertCell();
-                Utils.setText(tdUpdated, row.updatedAt ? Utils.formatDateTime(row.updatedAt) : '-');
+        const exportBtn = document.getElementById('audit-export-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportFiltered());
+        }
+
+        const moreBtn = document.getElementById('audit-more-btn');
+        if (moreBtn) {
+            moreBtn.addEventListener('click', () => {
+                this.limit += CONFIG.AUDIT_PAGE_SIZE;
+                this.render();
             });
+        }
 
-            card.appendChild(table);
+        this.render();
+    },
 
-            const addSection = document.createElement('div');
-            addSection.className = 'entry-add-section';
+    getFilters() {
+        const value = id => document.getElementById(id)?.value || '';
+        return {
+            from: value('audit-from'),
+            to: value('audit-to'),
+            user: value('audit-user'),
+            area: value('audit-area'),
+            designation: value('audit-designation').trim(),
+            field: value('audit-field')
+        };
+    },
 
-            const inputLabel = document.createElement('input');
-            inputLabel.type = 'text';
-            inputLabel.placeholder = 'Add designation...';
-            inputLabel.className = 'entry-designation-input';
+    populateSelect(id, values, allLabel) {
+        const select = document.getElementById(id);
+        if (!select) return;
 
-            const suggestions = document.createElement('div');
-            suggestions.className = 'entry-suggestions';
-            suggestions.style.display = 'none';
+        const current = select.value;
+        select.innerHTML = '';
 
-            inputLabel.addEventListener('input', () => {
-                const sugg = DesignationMgr.getSuggestions(inputLabel.value, areaName);
-                suggestions.innerHTML = '';
-                if (inputLabel.value && sugg.length > 0) {
-                    sugg.forEach(s => {
-                        const div = document.createElement('div');
-                        div.className = 'entry-suggestion-item';
-                        Utils.setText(div, s);
-                        div.addEventListener('click', () => {
-                            inputLabel.value = s;
-                            suggestions.style.display = 'none';
-                            Attendance.addOrUpdateRow(dateStr, areaName, s);
-                            this.render();
-                        });
-                        suggestions.appendChild(div);
-                    });
-                    suggestions.style.display = 'block';
-                } else {
-                    suggestions.style.display = 'none';
-                }
-            });
+        const all = document.createElement('option');
+        all.value = '';
+        Utils.setText(all, allLabel);
+        select.appendChild(all);
 
-            inputLabel.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter' && inputLabel.value.trim()) {
-                    Attendance.addOrUpdateRow(dateStr, areaName, inputLabel.value.trim());
-                    inputLabel.value = '';
-                    suggestions.style.display = 'none';
-                    this.render();
-                }
-            });
+        values.forEach(v => {
+            const opt = document.createElement('option');
+            opt.value = v;
+            Utils.setText(opt, v);
+            select.appendChild(opt);
+        });
 
-            addSection.appendChild(inputLabel);
-            addSection.appendChild(suggestions);
-            card.appendChild(addSection);
+        select.value = values.includes(current) ? current : '';
+    },
 
-            const clearBtn = document.createElement('button');
-            clearBtn.className = 'btn btn-danger btn-sm';
-            Utils.setText(clearBtn, 'Clear Area');
-            clearBtn.addEventListener('click', () => {
-                UI.confirm(`Clear all entries for ${areaName}?`, () => {
-                    rows.forEach(r => Attendance.deleteRow(dateStr, areaName, r.designationKey));
-                    this.render();
-                });
-            });
-            card.appendChild(clearBtn);
+    refresh() {
+        this.limit = CONFIG.AUDIT_PAGE_SIZE;
+        this.render();
+    },
+
+    showDate(dateStr) {
+        ['audit-user', 'audit-area', 'audit-designation', 'audit-field'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.value = '';
+        });
+        const fromInput = document.getElementById('audit-from');
+        const toInput = document.getElementById('audit-to');
+        if (fromInput) fromInput.value = dateStr;
+        if (toInput) toInput.value = dateStr;
+        this.refresh();
+    },
+
+    async render() {
+        const areas = Array.from(new Set([...Storage.getAreas(), ...Storage.getArchivedAreas(), ...await Audit.getDistinct('area')]));
+        this.populateSelect('audit-user', await Audit.getDistinct('user'), 'All users');
+        this.populateSelect('audit-area', areas, 'All areas');
+        this.populateSelect('audit-field', await Audit.getDistinct('field'), 'All fields');
+
+        const entries = await Audit.query(this.getFilters());
+
+        Utils.setText(document.getElementById('audit-summary'),
+            `${entries.length} matching entr${entries.length === 1 ? 'y' : 'ies'}` +
+            (entries.length > this.limit ? `, showing newest ${this.limit}` : ''));
+
+        const list = document.getElementById('audit-log-list');
+        if (list) this.renderEntries(list, entries.slice(0, this.limit));
+
+        const moreBtn = document.getElementById('audit-more-btn');
+        if (moreBtn) moreBtn.style.display = entries.length > this.limit ? 'inline-block' : 'none';
+    },
+
+    renderEntries(list, entries) {
+        list.innerHTML = '';
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'unconfirmed-empty';
+            Utils.setText(empty, 'No audit entries');
+            list.appendChild(empty);
+            return;
+        }
 
-            container.appendChild(card);
+        entries.forEach(entry => {
+            const div = document.createElement('div');
+            div.className = 'audit-entry';
+
+            const time = document.createElement('div');
+            time.className = 'audit-entry-time';
+            Utils.setText(time, `${Utils.formatDateTime(entry.ts)} · ${entry.user}`);
+            div.appendChild(time);
+
+            const detail = document.createElement('div');
+            detail.className = 'audit-entry-detail';
+            Utils.setText(detail, Audit.describe(entry));
+            div.appendChild(detail);
+
+            list.appendChild(div);
         });
     },
 
-    confirmAll() {
-        const user = Auth.getCurrentUser();
-        if (!user) return;
+    async exportFiltered() {
+        const filters = this.getFilters();
+        const entries = await Audit.query(filters);
+        if (entries.length === 0) {
+            UI.showToast('No entries to export', 'warning');
+            return;
+        }
 
-        const dateStr = document.getElementById('entry-date')?.value || Utils.getTodayString();
-        const areas = user.role === 'admin' ? Storage.getAreas() : user.assignedAreas;
+        Exports.exportAudit(entries, `headcount_audit_${filters.from || 'start'}_to_${filters.to || 'end'}.csv`);
+        UI.showToast(`Exported ${entries.length} audit entr${entries.length === 1 ? 'y' : 'ies'}`, 'success');
+    }
+};
 
-        let count = 0;
-        areas.forEach(areaName => {
-            const areaData = Attendance.getAreaData(dateStr, areaName);
-            (areaData.rows || []).forEach(row => {
-                if (!row.confirmed && row.present !== null && row.present !== '') {
-                    Attendance.updateRow(dateStr, areaName, row.designationKey, { confirmed: true });
-                    count++;
-                }
-            });
+const TrendsView = {
+    init() {
+        const fromInput = document.getElementById('trends-from');
+        const toInput = document.getElementById('trends-to');
+        if (fromInput && toInput) {
+            const start = new Date();
+            start.setDate(start.getDate() - (CONFIG.TRENDS_DEFAULT_DAYS - 1));
+            fromInput.value = Utils.formatDate(start);
+            toInput.value = Utils.getTodayString();
+        }
+
+        ['trends-from', 'trends-to', 'trends-area'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.render());
         });
 
         this.render();
-        UI.showToast(`Confirmed ${count} row(s)`, 'success');
     },
 
-    clearAll() {
-        const user = Auth.getCurrentUser();
-        if (!user) return;
+    getAreas(user) {
+        return Areas.getReportAreas(user);
+    },
 
-        const dateStr = document.getElementById('entry-date')?.value || Utils.getTodayString();
-        const areas = user.role === 'admin' ? Storage.getAreas() : user.assignedAreas;
+    populateAreas(areas) {
+        const select = document.getElementById('trends-area');
+        if (!select) return;
+
+        const current = select.value;
+        select.innerHTML = '';
+        const all = document.createElement('option');
+        all.value = '';
+        Utils.setText(all, 'All areas');
+        select.appendChild(all);
 
         areas.forEach(areaName => {
-            const areaData = Attendance.getAreaData(dateStr, areaName);
-            const rowKeys = (areaData.rows || []).map(r => r.designationKey);
-            rowKeys.forEach(key => Attendance.deleteRow(dateStr, areaName, key));
+            const opt = document.createElement('option');
+            opt.value = areaName;
+            Utils.setText(opt, areaName);
+            select.appendChild(opt);
         });
-
-        this.render();
-        UI.showToast('All entries cleared', 'success');
+        select.value = areas.includes(current) ? current : '';
     },
 
-    showAudit() {
-        const dateStr = document.getElementById('entry-date')?.value || Utils.getTodayString();
-        const entries = Audit.getEntries(dateStr);
+    async render() {
+        const user = Auth.getCurrentUser();
+        if (!user) return;
 
-        const list = document.getElementById('audit-list');
-        if (!list) return;
+        const userAreas = await this.getAreas(user);
+        this.populateAreas(userAreas);
 
-        list.innerHTML = '';
-        if (entries.length === 0) {
-            const empty = document.createElement('div');
-            Utils.setText(empty, 'No audit entries');
-            list.appendChild(empty);
-        } else {
-            entries.forEach(entry => {
-                const div = document.createElement('div');
-                div.className = 'audit-entry';
-                Utils.setText(div, `${Utils.formatDateTime(entry.ts)} - ${entry.user} changed ${entry.area} (${entry.designationKey}): ${entry.field} ${entry.from} → ${entry.to}`);
-                list.appendChild(div);
-            });
+        const from = document.getElementById('trends-from')?.value;
+        const to = document.getElementById('trends-to')?.value;
+        const selectedArea = document.getElementById('trends-area')?.value;
+        const areas = selectedArea ? [selectedArea] : userAreas;
+        const summary = document.getElementById('trends-summary');
+
+        if (!from || !to || from > to) {
+            Utils.setText(summary, 'Select a valid date range');
+            return;
+        }
+        if (Utils.getDateRange(from, to).length > CONFIG.MAX_EXPORT_RANGE_DAYS) {
+            Utils.setText(summary, `Range too long (max ${CONFIG.MAX_EXPORT_RANGE_DAYS} days)`);
+            return;
         }
 
-        const drawer = document.getElementById('audit-drawer');
-        if (drawer) drawer.style.display = 'block';
-    }
-};
+        const series = await Trends.getSeries(from, to, areas);
+        const palette = Charts.PALETTE;
 
-const ExportView = {
-    init() {
-        const dateInput = document.getElementById('export-single-date');
-        if (dateInput) {
-            dateInput.value = Utils.getTodayString();
+        const recorded = series.totals.filter(v => v !== null);
+        if (recorded.length > 0) {
+            const avg = Math.round(recorded.reduce((s, v) => s + v, 0) / recorded.length);
+            const peak = Math.max(...recorded);
+            const peakDate = series.dates[series.totals.indexOf(peak)];
+            Utils.setText(summary, `${recorded.length} of ${series.dates.length} day(s) with data · average ${avg} · peak ${peak} on ${peakDate}`);
+        } else {
+            Utils.setText(summary, `No data between ${from} and ${to}`);
         }
 
-        const detailedBtn = document.getElementById('export-detailed-btn');
-        if (detailedBtn) {
-            detailedBtn.addEventListener('click', () => {
-                const date = dateInput?.value || Utils.getTodayString();
-                Exports.exportDetailed(date);
-                UI.showToast('Exported detailed CSV', 'success');
-            });
+        const totalChart = document.getElementById('trends-total-chart');
+        if (totalChart) {
+            Charts.lineChart(totalChart, series.dates, [
+                { label: 'Daily total', values: series.totals, color: palette[0] },
+                { label: '7-day average', values: await Trends.movingAverage(from, to, areas, 7), color: palette[2], dashed: true },
+                { label: '30-day average', values: await Trends.movingAverage(from, to, areas, 30), color: palette[3], dashed: true }
+            ]);
         }
 
-        const areaBtn = document.getElementById('export-area-summary-btn');
-        if (areaBtn) {
-            areaBtn.addEventListener('click', () => {
-                const date = dateInput?.value || Utils.getTodayString();
-                Exports.exportAreaSummary(date);
-                UI.showToast('Exported area summary CSV', 'success');
-            });
+        const areaChart = document.getElementById('trends-area-chart');
+        if (areaChart) {
+            Charts.stackedBarChart(areaChart, series.dates, areas.map((areaName, i) => ({
+                label: areaName,
+                values: series.byArea[areaName],
+                color: palette[i % palette.length]
+            })));
         }
 
-        const desigBtn = document.getElementById('export-designation-summary-btn');
-        if (desigBtn) {
-            desigBtn.addEventListener('click', () => {
-                const date = dateInput?.value || Utils.getTodayString();
-                Exports.exportDesignationSummary(date);
-                UI.showToast('Exported designation summary CSV', 'success');
-            });
+        const designationChart = document.getElementById('trends-designation-chart');
+        if (designationChart) {
+            const top = Trends.getTopDesignations(series, CONFIG.TRENDS_TOP_DESIGNATIONS);
+            Charts.lineChart(designationChart, series.dates, top.map((d, i) => ({
+                label: d.label,
+                values: d.values.map((v, idx) => series.totals[idx] === null ? null : v),
+                color: palette[i % palette.length]
+            })));
         }
     }
 };
@@ -1048,7 +5771,7 @@ const BackupView = {
 
         const updateBtn = document.getElementById('retention-update-btn');
         if (updateBtn) {
-            updateBtn.addEventListener('click', () => {
+            updateBtn.addEventListener('click', async () => {
                 const days = parseInt(retentionInput?.value || 180);
                 if (days < 1 || days > 730) {
                     UI.showToast('Invalid retention days', 'error');
@@ -1056,132 +5779,791 @@ const BackupView = {
                 }
                 const settings = Storage.getSettings();
                 settings.retentionDays = days;
-                Storage.saveSettings(settings);
+                await Storage.saveSettings(settings);
                 UI.showToast('Retention updated', 'success');
                 this.updateRetentionInfo();
             });
         }
 
-        const cleanBtn = document.getElementById('retention-clean-btn');
-        if (cleanBtn) {
-            cleanBtn.addEventListener('click', () => {
-                UI.confirm('Delete old data?', () => this.cleanOldData());
+        const cleanBtn = document.getElementById('retention-clean-btn');
+        if (cleanBtn) {
+            cleanBtn.addEventListener('click', () => {
+                UI.confirm('Delete old data?', () => this.cleanOldData());
+            });
+        }
+
+        this.updateRetentionInfo();
+    },
+
+    async exportBackup() {
+        const includeUsers = !document.getElementById('backup-no-users-input')?.checked;
+        const passwordInput = document.getElementById('backup-password-input');
+        const password = passwordInput?.value || '';
+        if (password && password.length < CONFIG.PASSWORD_MIN_LENGTH) {
+            UI.showToast(`Backup password must be at least ${CONFIG.PASSWORD_MIN_LENGTH} characters`, 'error');
+            return;
+        }
+
+        const backup = await Backups.create({ includeUsers, password });
+
+        const json = JSON.stringify(backup, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.href = url;
+        link.download = `headcount_${includeUsers ? 'backup' : 'attendance_backup'}_${Utils.getTodayString()}${password ? '.encrypted' : ''}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        if (passwordInput) passwordInput.value = '';
+        UI.showToast(password ? 'Encrypted backup exported' : 'Backup exported', 'success');
+    },
+
+    importBackup() {
+        const input = document.getElementById('backup-import-input');
+        if (!input?.files[0]) {
+            UI.showToast('Select a file', 'error');
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            try {
+                const backup = await Backups.read(e.target.result, document.getElementById('backup-import-password')?.value);
+                // Backups from before versioning have no version; treat them as 1
+                Schema.upgrade(backup, backup.version === undefined ? 1 : backup.version);
+
+                if (document.getElementById('backup-import-mode')?.value === 'merge') {
+                    await this.showMergePreview(backup, input.files[0]?.name);
+                    return;
+                }
+
+                // Attendance-only backups carry no users: keep the ones on this device
+                const message = backup.users ? 'Overwrite all data?' : 'Overwrite all data except users?';
+                UI.confirm(message, async () => {
+                    const username = Auth.getCurrentUser()?.username;
+                    const before = await this.summarize();
+                    const localAudit = await Storage.getAudit();
+
+                    // The audit log is append-only: keep local entries alongside the backup's
+                    const ids = new Set(localAudit.map(a => a.id));
+                    const merged = [...localAudit, ...(backup.audit || []).filter(a => !ids.has(a.id))];
+                    await Storage.importAll({
+                        ...backup,
+                        users: backup.users || Storage.getUsers(),
+                        audit: merged.sort((a, b) => a.ts - b.ts)
+                    });
+                    await Storage.saveSchemaVersion(Schema.VERSION);
+
+                    await Audit.log({
+                        user: username,
+                        field: 'backup_imported',
+                        from: before,
+                        to: { ...await this.summarize(), file: input.files[0]?.name, exportedAt: backup.exportedAt }
+                    });
+
+                    UI.showToast('Imported. Reloading...', 'success');
+                    setTimeout(() => window.location.reload(), 1500);
+                });
+            } catch (err) {
+                UI.showToast('Import failed: ' + err.message, 'error');
+            }
+        };
+        reader.readAsText(input.files[0]);
+    },
+
+    async showMergePreview(backup, fileName) {
+        const compared = await Backups.compare(backup);
+        const count = status => compared.rows.filter(r => r.status === status).length;
+        const describe = r => r ? `${r.present === null ? 'blank' : r.present}, ${r.confirmed ? 'confirmed' : 'not confirmed'}` : '—';
+
+        const bodyHTML = `
+            <p id="merge-preview-summary"></p>
+            <div class="form-group">
+                <label for="merge-conflict-mode">Conflicts:</label>
+                <select id="merge-conflict-mode" class="date-input">
+                    <option value="newest">Keep the newest edit</option>
+                    <option value="mine">Keep this device</option>
+                    <option value="backup">Use the backup</option>
+                </select>
+            </div>
+            <div class="table-container">
+                <table id="merge-preview-table">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Area</th>
+                            <th>Designation</th>
+                            <th>This device</th>
+                            <th>Backup</th>
+                            <th>Keep</th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+            <div id="merge-preview-error" class="error-message"></div>
+        `;
+
+        const overlay = UI.showModal('Merge Preview', bodyHTML, [
+            { text: 'Cancel', className: 'btn-secondary' },
+            {
+                text: 'Merge',
+                className: 'btn-primary',
+                closeOnClick: false,
+                onClick: async () => {
+                    overlay.querySelectorAll('#merge-preview-table select').forEach(select => {
+                        compared.rows[parseInt(select.dataset.index, 10)].useIncoming = select.value === 'backup';
+                    });
+                    try {
+                        const summary = await Backups.merge(backup, compared);
+                        await Audit.log({
+                            field: 'backup_merged',
+                            from: null,
+                            to: { ...summary, file: fileName, exportedAt: backup.exportedAt }
+                        });
+                        overlay.remove();
+                        const left = summary.rowsSkipped + summary.closedDates.length;
+                        UI.showToast(left > 0 ? 'Merged; rows changed here meanwhile were kept. Reloading...' : 'Merged. Reloading...', 'success');
+                        setTimeout(() => window.location.reload(), 1500);
+                    } catch (err) {
+                        Utils.setText(overlay.querySelector('#merge-preview-error'), err.message);
+                    }
+                }
+            }
+        ]);
+
+        let summary = `${count('new')} new, ${count('changed')} changed, ${count('conflict')} conflicting and ` +
+            `${count('identical')} identical row(s).`;
+        if (count('blocked') > 0) summary += ` ${count('blocked')} row(s) on dates closed here stay as they are.`;
+        if (compared.areas.length > 0) summary += ` Areas added: ${compared.areas.join(', ')}.`;
+        if (compared.users.length > 0) summary += ` Users added: ${compared.users.join(', ')}.`;
+        else if (!Auth.isAdmin() && (backup.users || []).length > 0) summary += ' Users in the backup are only added when an admin merges.';
+        summary += ' Rows only on this device, designation history and the audit log of both sides are kept.';
+        Utils.setText(overlay.querySelector('#merge-preview-summary'), summary);
+
+        const tbody = overlay.querySelector('#merge-preview-table tbody');
+        compared.rows.forEach((r, i) => {
+            if (r.status === 'identical') return;
+            const row = tbody.insertRow();
+            if (r.status === 'conflict' || r.status === 'blocked') row.className = 'import-warning';
+            Utils.setText(row.insertCell(), r.date);
+            Utils.setText(row.insertCell(), r.area);
+            Utils.setText(row.insertCell(), r.label);
+            Utils.setText(row.insertCell(), describe(r.local));
+            Utils.setText(row.insertCell(), describe(r.incoming));
+
+            const cell = row.insertCell();
+            if (r.status === 'blocked') {
+                Utils.setText(cell, 'This device (date closed)');
+                return;
+            }
+            if (r.status !== 'conflict') {
+                Utils.setText(cell, r.status === 'new' ? 'Backup (new)' : 'Backup');
+                return;
+            }
+            const select = document.createElement('select');
+            select.dataset.index = i;
+            [['mine', 'This device'], ['backup', 'Backup']].forEach(([value, text]) => {
+                const opt = document.createElement('option');
+                opt.value = value;
+                Utils.setText(opt, text);
+                select.appendChild(opt);
+            });
+            select.value = r.useIncoming ? 'backup' : 'mine';
+            cell.appendChild(select);
+        });
+
+        overlay.querySelector('#merge-conflict-mode')?.addEventListener('change', e => {
+            overlay.querySelectorAll('#merge-preview-table select').forEach(select => {
+                const r = compared.rows[parseInt(select.dataset.index, 10)];
+                if (e.target.value === 'newest') select.value = Backups.preferIncoming(r) ? 'backup' : 'mine';
+                else select.value = e.target.value;
+            });
+        });
+    },
+
+    async summarize() {
+        return {
+            dates: (await Storage.getAttendanceDates()).length,
+            areas: Storage.getAreas().length,
+            users: Storage.getUsers().length
+        };
+    },
+
+    async updateRetentionInfo() {
+        const settings = Storage.getSettings();
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - settings.retentionDays);
+
+        const dates = await Storage.getAttendanceDates();
+        const oldCount = dates.filter(d => new Date(d) < cutoffDate).length;
+
+        const info = document.getElementById('retention-info');
+        if (info) {
+            Utils.setText(info, `Keeping ${settings.retentionDays} days. ${oldCount} date(s) can be cleaned.`);
+        }
+    },
+
+    async cleanOldData() {
+        const settings = Storage.getSettings();
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - settings.retentionDays);
+
+        const deletedDates = (await Storage.getAttendanceDates()).filter(d => new Date(d) < cutoffDate);
+        const deleted = deletedDates.length;
+
+        await Storage.deleteAttendanceDates(deletedDates);
+        if (deleted > 0) {
+            await Audit.log({ field: 'retention_cleaned', from: deletedDates.sort(), to: null });
+        }
+        UI.showToast(`Cleaned ${deleted} date(s)`, 'success');
+        this.updateRetentionInfo();
+    }
+};
+
+const AdminView = {
+    securityLimit: CONFIG.SECURITY_LOG_PAGE_SIZE,
+
+    init() {
+        const createBtn = document.getElementById('admin-create-user-btn');
+        if (createBtn) {
+            createBtn.addEventListener('click', () => this.showCreateUserModal());
+        }
+
+        const areaBtn = document.getElementById('admin-add-area-btn');
+        if (areaBtn) {
+            areaBtn.addEventListener('click', () => this.showAddAreaModal());
+        }
+
+        const catalogBtn = document.getElementById('admin-add-catalog-btn');
+        if (catalogBtn) {
+            catalogBtn.addEventListener('click', () => this.showCatalogModal());
+        }
+
+        const mergeBtn = document.getElementById('admin-merge-catalog-btn');
+        if (mergeBtn) {
+            mergeBtn.addEventListener('click', () => this.showMergeModal());
+        }
+
+        const strictInput = document.getElementById('catalog-strict-input');
+        if (strictInput) {
+            strictInput.checked = Catalog.isStrict();
+            strictInput.addEventListener('change', async () => {
+                const settings = Storage.getSettings();
+                settings.catalogStrict = strictInput.checked;
+                await Storage.saveSettings(settings);
+                await Audit.log({ field: 'catalog_strict', from: !strictInput.checked, to: strictInput.checked });
+                UI.showToast(strictInput.checked ? 'Only catalog designations allowed' : 'Free-text designations allowed', 'success');
+            });
+        }
+
+        const planBtn = document.getElementById('admin-add-plan-btn');
+        if (planBtn) {
+            planBtn.addEventListener('click', () => this.showPlanModal());
+        }
+
+        const projectInput = document.getElementById('report-project-input');
+        if (projectInput) {
+            projectInput.value = Storage.getSettings().projectName || '';
+        }
+
+        const projectBtn = document.getElementById('report-project-btn');
+        if (projectBtn) {
+            projectBtn.addEventListener('click', async () => {
+                const settings = Storage.getSettings();
+                const before = settings.projectName || '';
+                settings.projectName = (projectInput?.value || '').trim();
+                await Storage.saveSettings(settings);
+                await Audit.log({ field: 'project_name', from: before, to: settings.projectName });
+                UI.showToast('Project name updated', 'success');
+            });
+        }
+
+        const syncUrlInput = document.getElementById('sync-url-input');
+        const syncTokenInput = document.getElementById('sync-token-input');
+        if (syncUrlInput && syncTokenInput) {
+            const s = Storage.getSync();
+            syncUrlInput.value = s.url;
+            syncTokenInput.value = s.token;
+        }
+
+        const securityExportBtn = document.getElementById('admin-security-export-btn');
+        if (securityExportBtn) {
+            securityExportBtn.addEventListener('click', () => Exports.exportSecurityLog());
+        }
+
+        const securityMoreBtn = document.getElementById('admin-security-more-btn');
+        if (securityMoreBtn) {
+            securityMoreBtn.addEventListener('click', () => {
+                this.securityLimit += CONFIG.SECURITY_LOG_PAGE_SIZE;
+                this.renderSecurityLog();
+            });
+        }
+
+        this.renderEncryptionStatus();
+
+        const encryptBtn = document.getElementById('encryption-set-btn');
+        if (encryptBtn) {
+            encryptBtn.addEventListener('click', async () => {
+                const passInput = document.getElementById('encryption-passphrase-input');
+                const confirmInput = document.getElementById('encryption-confirm-input');
+                const passphrase = passInput?.value || '';
+                if (passphrase.length < CONFIG.PASSWORD_MIN_LENGTH) {
+                    UI.showToast(`Passphrase must be at least ${CONFIG.PASSWORD_MIN_LENGTH} characters`, 'error');
+                    return;
+                }
+                if (passphrase !== confirmInput?.value) {
+                    UI.showToast('Passphrases do not match', 'error');
+                    return;
+                }
+
+                const before = Storage.isEncrypted() ? 'on' : 'off';
+                encryptBtn.disabled = true;
+                try {
+                    await Storage.setPassphrase(passphrase);
+                    await Audit.log({ field: 'data_encryption', from: before, to: before === 'on' ? 'new passphrase' : 'on' });
+                    passInput.value = '';
+                    confirmInput.value = '';
+                    UI.showToast(before === 'on' ? 'Passphrase changed' : 'Data encrypted', 'success');
+                } catch (err) {
+                    UI.showToast(err.message, 'error');
+                }
+                encryptBtn.disabled = false;
+                this.renderEncryptionStatus();
+            });
+        }
+
+        const decryptBtn = document.getElementById('encryption-off-btn');
+        if (decryptBtn) {
+            decryptBtn.addEventListener('click', () => {
+                UI.confirm('Store all data on this device unencrypted again?', async () => {
+                    try {
+                        await Storage.setPassphrase(null);
+                        await Audit.log({ field: 'data_encryption', from: 'on', to: 'off' });
+                        UI.showToast('Encryption turned off', 'success');
+                    } catch (err) {
+                        UI.showToast(err.message, 'error');
+                    }
+                    this.renderEncryptionStatus();
+                });
+            });
+        }
+
+        const syncBtn = document.getElementById('sync-save-btn');
+        if (syncBtn) {
+            syncBtn.addEventListener('click', async () => {
+                try {
+                    await Sync.configure(syncUrlInput?.value, syncTokenInput?.value);
+                    UI.showToast(Sync.isEnabled() ? 'Sync settings saved' : 'Sync turned off', 'success');
+                } catch (err) {
+                    UI.showToast(err.message, 'error');
+                }
+            });
+        }
+
+        const levelsInput = document.getElementById('area-levels-input');
+        if (levelsInput) {
+            levelsInput.value = Storage.getAreaGroups().levels.join(', ');
+        }
+
+        const levelsBtn = document.getElementById('area-levels-btn');
+        if (levelsBtn) {
+            levelsBtn.addEventListener('click', async () => {
+                try {
+                    await Areas.saveLevels((levelsInput?.value || '').split(','));
+                    UI.showToast('Levels updated', 'success');
+                } catch (err) {
+                    UI.showToast(err.message, 'error');
+                }
+                if (levelsInput) levelsInput.value = Storage.getAreaGroups().levels.join(', ');
+                this.renderGroupsTable();
+            });
+        }
+
+        const groupBtn = document.getElementById('admin-add-group-btn');
+        if (groupBtn) {
+            groupBtn.addEventListener('click', () => this.showGroupModal());
+        }
+
+        const thresholdInput = document.getElementById('plan-threshold-input');
+        if (thresholdInput) {
+            thresholdInput.value = Plans.getThresholdPct();
+        }
+
+        const thresholdBtn = document.getElementById('plan-threshold-btn');
+        if (thresholdBtn) {
+            thresholdBtn.addEventListener('click', async () => {
+                const pct = parseFloat(thresholdInput?.value);
+                if (isNaN(pct) || pct < 0 || pct > 100) {
+                    UI.showToast('Threshold must be between 0 and 100', 'error');
+                    return;
+                }
+                const settings = Storage.getSettings();
+                const before = Plans.getThresholdPct();
+                settings.understaffThresholdPct = pct;
+                await Storage.saveSettings(settings);
+                await Audit.log({ field: 'understaff_threshold', from: before, to: pct });
+                UI.showToast('Threshold updated', 'success');
+            });
+        }
+
+        const timeoutInput = document.getElementById('session-timeout-input');
+        if (timeoutInput) {
+            timeoutInput.value = Math.round(Auth.getSessionTimeout() / 60000);
+        }
+
+        const timeoutBtn = document.getElementById('session-timeout-btn');
+        if (timeoutBtn) {
+            timeoutBtn.addEventListener('click', async () => {
+                const minutes = parseInt(timeoutInput?.value, 10);
+                if (isNaN(minutes) || minutes < 5 || minutes > 1440) {
+                    UI.showToast('Timeout must be between 5 and 1440 minutes', 'error');
+                    return;
+                }
+                const settings = Storage.getSettings();
+                const before = Math.round(Auth.getSessionTimeout() / 60000);
+                settings.sessionTimeoutMinutes = minutes;
+                await Storage.saveSettings(settings);
+                await Audit.log({ field: 'session_timeout', from: before, to: minutes });
+                // Apply it to this session straight away
+                await Auth.touch(true);
+                UI.showToast('Session timeout updated', 'success');
             });
         }
 
-        this.updateRetentionInfo();
+        this.render();
     },
 
-    exportBackup() {
-        const backup = {
-            version: 1,
-            exportedAt: Date.now(),
-            settings: Storage.getSettings(),
-            areas: Storage.getAreas(),
-            users: Storage.getUsers(),
-            attendance: Storage.getAttendance(),
-            designationHistory: Storage.getDesignationHistory()
-        };
+    render() {
+        this.renderUsersTable();
+        this.renderAreasTable();
+        this.renderGroupsTable();
+        this.renderCatalogTable();
+        this.renderPlansTable();
+        this.renderSecurityLog();
+    },
 
-        const json = JSON.stringify(backup, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const link = document.createElement('a');
-        const url = URL.createObjectURL(blob);
-        link.href = url;
-        link.download = `headcount_backup_${Utils.getTodayString()}.json`;
-        link.click();
-        URL.revokeObjectURL(url);
+    renderEncryptionStatus() {
+        const on = Storage.isEncrypted();
+        Utils.setText(document.getElementById('encryption-status'), on
+            ? 'Users, attendance and the audit trail are encrypted on this device.'
+            : 'Data on this device is not encrypted.');
+        const setBtn = document.getElementById('encryption-set-btn');
+        if (setBtn) Utils.setText(setBtn, on ? 'Change Passphrase' : 'Encrypt Data');
+        const offBtn = document.getElementById('encryption-off-btn');
+        if (offBtn) offBtn.style.display = on ? 'inline-block' : 'none';
+    },
+
+    renderSecurityLog() {
+        const tbody = document.querySelector('#admin-security-table tbody');
+        if (!tbody) return;
+
+        tbody.innerHTML = '';
+        const events = Storage.getSecurityLog().reverse();
+
+        if (events.length === 0) {
+            const cell = tbody.insertRow().insertCell();
+            cell.colSpan = 4;
+            Utils.setText(cell, 'No security events yet');
+        }
+
+        events.slice(0, this.securityLimit).forEach(e => {
+            const row = tbody.insertRow();
+            Utils.setText(row.insertCell(), Utils.formatDateTime(e.ts));
+            Utils.setText(row.insertCell(), e.user || '-');
+            Utils.setText(row.insertCell(), Auth.SECURITY_EVENTS[e.type] || e.type);
+            Utils.setText(row.insertCell(), e.note || '');
+        });
 
-        UI.showToast('Backup exported', 'success');
+        const moreBtn = document.getElementById('admin-security-more-btn');
+        if (moreBtn) moreBtn.style.display = events.length > this.securityLimit ? 'inline-block' : 'none';
     },
 
-    importBackup() {
-        const input = document.getElementById('backup-import-input');
-        if (!input?.files[0]) {
-            UI.showToast('Select a file', 'error');
+    renderCatalogTable() {
+        const tbody = document.querySelector('#admin-catalog-table tbody');
+        if (!tbody) return;
+
+        tbody.innerHTML = '';
+        const catalog = Storage.getCatalog().slice().sort((a, b) =>
+            (a.category || '').localeCompare(b.category || '') || a.label.localeCompare(b.label));
+
+        if (catalog.length === 0) {
+            const cell = tbody.insertRow().insertCell();
+            cell.colSpan = 5;
+            Utils.setText(cell, 'No catalog designations yet');
             return;
         }
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const backup = JSON.parse(e.target.result);
-                if (!backup.version || !backup.settings) {
-                    throw new Error('Invalid backup');
-                }
+        catalog.forEach(entry => {
+            const row = tbody.insertRow();
+            Utils.setText(row.insertCell(), entry.label);
+            Utils.setText(row.insertCell(), entry.code || '-');
+            Utils.setText(row.insertCell(), entry.category || '-');
+            Utils.setText(row.insertCell(), (entry.aliases || []).join(', ') || '-');
 
-                UI.confirm('Overwrite all data?', () => {
-                    Storage.saveSettings(backup.settings);
-                    Storage.saveAreas(backup.areas || []);
-                    Storage.saveUsers(backup.users || []);
-                    Storage.saveAttendance(backup.attendance || {});
-                    if (backup.designationHistory) {
-                        Storage.saveDesignationHistory(backup.designationHistory);
-                    }
+            const actions = row.insertCell();
+            const editBtn = document.createElement('button');
+            editBtn.className = 'btn btn-secondary btn-sm';
+            Utils.setText(editBtn, 'Edit');
+            editBtn.addEventListener('click', () => this.showCatalogModal(entry));
+            actions.appendChild(editBtn);
 
-                    UI.showToast('Imported. Reloading...', 'success');
-                    setTimeout(() => window.location.reload(), 1500);
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-danger btn-sm';
+            Utils.setText(deleteBtn, 'Delete');
+            deleteBtn.addEventListener('click', () => {
+                UI.confirm(`Remove "${entry.label}" from the catalog? Existing rows keep their label.`, async () => {
+                    try {
+                        await Catalog.removeEntry(entry.id);
+                    } catch (err) {
+                        UI.showToast(err.message, 'error');
+                    }
+                    this.renderCatalogTable();
                 });
-            } catch (err) {
-                UI.showToast('Import failed: ' + err.message, 'error');
-            }
-        };
-        reader.readAsText(input.files[0]);
+            });
+            actions.appendChild(deleteBtn);
+        });
     },
 
-    updateRetentionInfo() {
-        const settings = Storage.getSettings();
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - settings.retentionDays);
+    showCatalogModal(entry) {
+        const bodyHTML = `
+            <div class="form-group">
+                <label for="catalog-label">Designation:</label>
+                <input type="text" id="catalog-label" class="date-input" autocomplete="off">
+            </div>
+            <div class="form-group">
+                <label for="catalog-code">Code:</label>
+                <input type="text" id="catalog-code" class="date-input" autocomplete="off">
+            </div>
+            <div class="form-group">
+                <label for="catalog-category">Category:</label>
+                <input type="text" id="catalog-category" class="date-input" autocomplete="off">
+            </div>
+            <div class="form-group">
+                <label for="catalog-aliases">Aliases (comma separated):</label>
+                <input type="text" id="catalog-aliases" class="date-input" autocomplete="off">
+            </div>
+            <div id="catalog-error" class="error-message"></div>
+        `;
+
+        UI.showModal(entry ? 'Edit Designation' : 'Add Designation', bodyHTML, [
+            { text: 'Cancel', className: 'btn-secondary' },
+            {
+                text: 'Save',
+                className: 'btn-primary',
+                closeOnClick: false,
+                onClick: async () => {
+                    const value = id => document.getElementById(id)?.value || '';
+                    try {
+                        await Catalog.saveEntry({
+                            id: entry?.id,
+                            label: value('catalog-label'),
+                            code: value('catalog-code'),
+                            category: value('catalog-category'),
+                            aliases: value('catalog-aliases').split(',')
+                        });
+                    } catch (err) {
+                        Utils.setText(document.getElementById('catalog-error'), err.message);
+                        return;
+                    }
 
-        const att = Storage.getAttendance();
-        const oldCount = Object.keys(att).filter(d => new Date(d) < cutoffDate).length;
+                    document.querySelector('.modal-overlay')?.remove();
+                    UI.showToast('Catalog saved', 'success');
+                    this.renderCatalogTable();
+                }
+            }
+        ]);
 
-        const info = document.getElementById('retention-info');
-        if (info) {
-            Utils.setText(info, `Keeping ${settings.retentionDays} days. ${oldCount} date(s) can be cleaned.`);
+        if (entry) {
+            document.getElementById('catalog-label').value = entry.label;
+            document.getElementById('catalog-code').value = entry.code || '';
+            document.getElementById('catalog-category').value = entry.category || '';
+            document.getElementById('catalog-aliases').value = (entry.aliases || []).join(', ');
         }
     },
 
-    cleanOldData() {
-        const settings = Storage.getSettings();
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - settings.retentionDays);
+    async showMergeModal() {
+        const catalog = Storage.getCatalog();
+        if (catalog.length === 0) {
+            UI.showToast('Add the target designation to the catalog first', 'warning');
+            return;
+        }
 
-        const att = Storage.getAttendance();
-        let deleted = 0;
+        const bodyHTML = `
+            <div class="form-group">
+                <label for="merge-target">Merge into:</label>
+                <select id="merge-target" class="date-input"></select>
+            </div>
+            <p>Rows with the selected designations are renamed on every date. Where both exist in the same area and date, counts are added together.</p>
+            <div id="merge-sources" class="area-select-list"></div>
+            <div id="merge-error" class="error-message"></div>
+        `;
 
-        Object.keys(att).forEach(d => {
-            if (new Date(d) < cutoffDate) {
-                delete att[d];
-                deleted++;
+        UI.showModal('Merge Designations', bodyHTML, [
+            { text: 'Cancel', className: 'btn-secondary' },
+            {
+                text: 'Merge',
+                className: 'btn-danger',
+                closeOnClick: false,
+                onClick: async () => {
+                    const targetId = document.getElementById('merge-target')?.value;
+                    const keys = Array.from(document.querySelectorAll('#merge-sources input:checked')).map(c => c.value);
+                    try {
+                        const { rowsChanged, datesChanged, closedDates } = await Catalog.merge(keys, targetId);
+                        document.querySelector('.modal-overlay')?.remove();
+                        if (closedDates.length > 0) {
+                            UI.showToast(`Merged ${rowsChanged} row(s) on ${datesChanged} date(s). Closed, not changed: ${closedDates.join(', ')}`, 'warning');
+                        } else {
+                            UI.showToast(`Merged ${rowsChanged} row(s) on ${datesChanged} date(s)`, 'success');
+                        }
+                        this.renderCatalogTable();
+                        this.renderPlansTable();
+                    } catch (err) {
+                        Utils.setText(document.getElementById('merge-error'), err.message);
+                    }
+                }
             }
+        ]);
+
+        const targetSelect = document.getElementById('merge-target');
+        const sourcesDiv = document.getElementById('merge-sources');
+        if (!targetSelect || !sourcesDiv) return;
+
+        catalog.forEach(e => {
+            const opt = document.createElement('option');
+            opt.value = e.id;
+            Utils.setText(opt, e.code ? `${e.label} (${e.code})` : e.label);
+            targetSelect.appendChild(opt);
         });
 
-        Storage.saveAttendance(att);
-        UI.showToast(`Cleaned ${deleted} date(s)`, 'success');
-        this.updateRetentionInfo();
-    }
-};
+        const used = await Catalog.getUsedDesignations();
+        const renderSources = () => {
+            const target = catalog.find(e => e.id === targetSelect.value);
+            const targetKey = Utils.normalizeDesignation(target.label);
+            sourcesDiv.innerHTML = '';
 
-const AdminView = {
-    init() {
-        const createBtn = document.getElementById('admin-create-user-btn');
-        if (createBtn) {
-            createBtn.addEventListener('click', () => this.showCreateUserModal());
-        }
+            used.filter(d => d.key !== targetKey).forEach(d => {
+                const label = document.createElement('label');
+                label.className = 'area-select-item';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = d.key;
+                checkbox.checked = Catalog.resolve(d.label)?.id === target.id;
+                label.appendChild(checkbox);
+                label.appendChild(document.createTextNode(`${d.label} (${d.rows} row(s))`));
+                sourcesDiv.appendChild(label);
+            });
+        };
 
-        const areaBtn = document.getElementById('admin-add-area-btn');
-        if (areaBtn) {
-            areaBtn.addEventListener('click', () => this.showAddAreaModal());
+        targetSelect.addEventListener('change', renderSources);
+        renderSources();
+    },
+
+    renderPlansTable() {
+        const tbody = document.querySelector('#admin-plans-table tbody');
+        if (!tbody) return;
+
+        const areaOrder = Storage.getAreas();
+        const plans = Storage.getPlans().slice().sort((a, b) =>
+            (areaOrder.indexOf(a.area) - areaOrder.indexOf(b.area)) ||
+            (a.designationKey || '').localeCompare(b.designationKey || '') ||
+            b.effectiveFrom.localeCompare(a.effectiveFrom));
+
+        tbody.innerHTML = '';
+        if (plans.length === 0) {
+            const cell = tbody.insertRow().insertCell();
+            cell.colSpan = 6;
+            Utils.setText(cell, 'No planned headcount set');
+            return;
         }
 
-        this.render();
+        plans.forEach(plan => {
+            const row = tbody.insertRow();
+            Utils.setText(row.insertCell(), plan.area);
+            Utils.setText(row.insertCell(), plan.designationLabel || 'Whole area');
+            Utils.setText(row.insertCell(), String(plan.planned));
+            Utils.setText(row.insertCell(), plan.effectiveFrom);
+            Utils.setText(row.insertCell(), plan.updatedBy);
+
+            const actions = row.insertCell();
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-danger btn-sm';
+            Utils.setText(deleteBtn, 'Delete');
+            deleteBtn.addEventListener('click', () => {
+                UI.confirm(`Delete plan for ${plan.area}${plan.designationLabel ? ' / ' + plan.designationLabel : ''} from ${plan.effectiveFrom}?`, async () => {
+                    try {
+                        await Plans.removePlan(plan.id);
+                    } catch (err) {
+                        UI.showToast(err.message, 'error');
+                    }
+                    this.renderPlansTable();
+                });
+            });
+            actions.appendChild(deleteBtn);
+        });
     },
 
-    render() {
-        this.renderUsersTable();
-        this.renderAreasTable();
+    showPlanModal() {
+        const bodyHTML = `
+            <div class="form-group">
+                <label for="plan-area">Area:</label>
+                <select id="plan-area" class="date-input"></select>
+            </div>
+            <div class="form-group">
+                <label for="plan-designation">Designation:</label>
+                <input type="text" id="plan-designation" class="date-input" placeholder="Blank = whole area" autocomplete="off">
+            </div>
+            <div class="form-group">
+                <label for="plan-planned">Planned headcount:</label>
+                <input type="number" id="plan-planned" min="0">
+            </div>
+            <div class="form-group">
+                <label for="plan-effective">Effective from:</label>
+                <input type="date" id="plan-effective" class="date-input">
+            </div>
+            <div id="plan-error" class="error-message"></div>
+        `;
+
+        UI.showModal('Set Planned Headcount', bodyHTML, [
+            { text: 'Cancel', className: 'btn-secondary' },
+            {
+                text: 'Save',
+                className: 'btn-primary',
+                closeOnClick: false,
+                onClick: async () => {
+                    const area = document.getElementById('plan-area')?.value;
+                    const designation = document.getElementById('plan-designation')?.value;
+                    const plannedStr = document.getElementById('plan-planned')?.value;
+                    const effectiveFrom = document.getElementById('plan-effective')?.value;
+                    const planned = plannedStr === '' ? NaN : Number(plannedStr);
+
+                    try {
+                        await Plans.setPlan(area, designation, planned, effectiveFrom);
+                    } catch (err) {
+                        Utils.setText(document.getElementById('plan-error'), err.message);
+                        return;
+                    }
+
+                    document.querySelector('.modal-overlay')?.remove();
+                    UI.showToast('Plan saved', 'success');
+                    this.renderPlansTable();
+                }
+            }
+        ]);
+
+        const areaSelect = document.getElementById('plan-area');
+        if (areaSelect) {
+            Storage.getAreas().forEach(area => {
+                const opt = document.createElement('option');
+                opt.value = area;
+                Utils.setText(opt, area);
+                areaSelect.appendChild(opt);
+            });
+        }
+
+        const effectiveInput = document.getElementById('plan-effective');
+        if (effectiveInput) effectiveInput.value = Utils.getTodayString();
     },
 
     renderUsersTable() {
@@ -1189,12 +6571,16 @@ const AdminView = {
         if (!tbody) return;
 
         tbody.innerHTML = '';
+        const lastLogins = Storage.getLastLogins();
         Storage.getUsers().forEach(user => {
             const row = tbody.insertRow();
+            const lockedUntil = Auth.getLockedUntil(user.username);
             Utils.setText(row.insertCell(), user.username);
             Utils.setText(row.insertCell(), user.role);
-            Utils.setText(row.insertCell(), user.assignedAreas.join(', ') || 'All');
-            Utils.setText(row.insertCell(), user.disabled ? 'Disabled' : 'Active');
+            Utils.setText(row.insertCell(), Areas.describeAssigned(user.assignedAreas) || 'All');
+            Utils.setText(row.insertCell(), user.disabled ? 'Disabled'
+                : lockedUntil ? `Locked until ${new Date(lockedUntil).toLocaleTimeString()}` : 'Active');
+            Utils.setText(row.insertCell(), lastLogins[user.username] ? Utils.formatDateTime(lastLogins[user.username]) : 'Never');
 
             const actions = row.insertCell();
             const resetBtn = document.createElement('button');
@@ -1215,23 +6601,209 @@ const AdminView = {
         const tbody = document.querySelector('#admin-areas-table tbody');
         if (!tbody) return;
 
-        tbody.innerHTML = '';
-        Storage.getAreas().forEach(area => {
-            const row = tbody.insertRow();
-            Utils.setText(row.insertCell(), area);
+        tbody.innerHTML = '';
+        const active = Storage.getAreas();
+        const addButton = (cell, text, className, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = `btn ${className} btn-sm`;
+            Utils.setText(btn, text);
+            btn.addEventListener('click', onClick);
+            cell.appendChild(btn);
+            return btn;
+        };
+
+        const { areaGroup } = Storage.getAreaGroups();
+        const groupOptions = this.getGroupOptions();
+        const addGroupSelect = (cell, area) => {
+            const select = document.createElement('select');
+            [{ id: '', label: '(none)' }, ...groupOptions].forEach(g => {
+                const opt = document.createElement('option');
+                opt.value = g.id;
+                Utils.setText(opt, g.label);
+                select.appendChild(opt);
+            });
+            select.value = areaGroup[area] || '';
+            select.addEventListener('change', async () => {
+                try {
+                    await Areas.setAreaGroup(area, select.value || null);
+                } catch (err) {
+                    UI.showToast(err.message, 'error');
+                }
+                this.renderGroupsTable();
+            });
+            cell.appendChild(select);
+        };
+
+        active.forEach((area, i) => {
+            const row = tbody.insertRow();
+            Utils.setText(row.insertCell(), area);
+            addGroupSelect(row.insertCell(), area);
+            Utils.setText(row.insertCell(), 'Active');
+
+            const actions = row.insertCell();
+            addButton(actions, '\u2191', 'btn-secondary', () => this.moveArea(area, -1)).disabled = i === 0;
+            addButton(actions, '\u2193', 'btn-secondary', () => this.moveArea(area, 1)).disabled = i === active.length - 1;
+            addButton(actions, 'Rename', 'btn-secondary', () => this.showRenameAreaModal(area));
+
+            const templateBtn = document.createElement('button');
+            templateBtn.className = 'btn btn-secondary btn-sm';
+            const templateSize = Templates.get(area).length;
+            Utils.setText(templateBtn, templateSize > 0 ? `Template (${templateSize})` : 'Template');
+            templateBtn.addEventListener('click', () => this.showTemplateModal(area));
+            actions.appendChild(templateBtn);
+
+            addButton(actions, 'Archive', 'btn-danger', () => this.archiveArea(area));
+        });
+
+        Storage.getArchivedAreas().forEach(area => {
+            const row = tbody.insertRow();
+            row.className = 'archived';
+            Utils.setText(row.insertCell(), area);
+            Utils.setText(row.insertCell(), Areas.getGroupPath(areaGroup[area]) || '-');
+            Utils.setText(row.insertCell(), 'Archived');
+
+            const actions = row.insertCell();
+            addButton(actions, 'Rename', 'btn-secondary', () => this.showRenameAreaModal(area));
+            addButton(actions, 'Restore', 'btn-primary', () => this.restoreArea(area));
+        });
+    },
+
+    // Every group as { id, label } with its level and full path, top-down.
+    getGroupOptions() {
+        return Storage.getAreaGroups().groups
+            .map(g => ({ id: g.id, level: g.level, path: Areas.getGroupPath(g.id), label: `${Areas.getLevelName(g)}: ${Areas.getGroupPath(g.id)}` }))
+            .sort((a, b) => a.path.localeCompare(b.path));
+    },
+
+    renderGroupsTable() {
+        const tbody = document.querySelector('#admin-groups-table tbody');
+        if (!tbody) return;
+
+        tbody.innerHTML = '';
+        const config = Storage.getAreaGroups();
+        const options = this.getGroupOptions();
+
+        if (options.length === 0) {
+            const cell = tbody.insertRow().insertCell();
+            cell.colSpan = 5;
+            Utils.setText(cell, 'No groups yet; all areas are listed on their own');
+            return;
+        }
+
+        options.forEach(option => {
+            const group = config.groups.find(g => g.id === option.id);
+            const row = tbody.insertRow();
+            Utils.setText(row.insertCell(), group.name);
+            Utils.setText(row.insertCell(), Areas.getLevelName(group));
+            Utils.setText(row.insertCell(), Areas.getGroupPath(group.parentId) || '-');
+            Utils.setText(row.insertCell(), String(Areas.expandAssigned([Areas.GROUP_PREFIX + group.id]).length));
+
+            const actions = row.insertCell();
+            const editBtn = document.createElement('button');
+            editBtn.className = 'btn btn-secondary btn-sm';
+            Utils.setText(editBtn, 'Edit');
+            editBtn.addEventListener('click', () => this.showGroupModal(group));
+            actions.appendChild(editBtn);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-danger btn-sm';
+            Utils.setText(deleteBtn, 'Delete');
+            deleteBtn.addEventListener('click', () => {
+                UI.confirm(`Delete ${Areas.getLevelName(group)} "${group.name}"? Its areas move up a level.`, async () => {
+                    try {
+                        await Areas.removeGroup(group.id);
+                        UI.showToast('Group deleted', 'success');
+                    } catch (err) {
+                        UI.showToast(err.message, 'error');
+                    }
+                    this.render();
+                });
+            });
+            actions.appendChild(deleteBtn);
+        });
+    },
+
+    showGroupModal(group) {
+        const bodyHTML = `
+            <div class="form-group">
+                <label for="group-name">Name:</label>
+                <input type="text" id="group-name" autocomplete="off">
+            </div>
+            <div class="form-group">
+                <label for="group-level">Level:</label>
+                <select id="group-level"></select>
+            </div>
+            <div class="form-group">
+                <label for="group-parent">Parent:</label>
+                <select id="group-parent"></select>
+            </div>
+            <div id="group-error" class="error-message"></div>
+        `;
+
+        UI.showModal(group ? 'Edit Group' : 'Add Group', bodyHTML, [
+            { text: 'Cancel', className: 'btn-secondary' },
+            {
+                text: 'Save',
+                className: 'btn-primary',
+                closeOnClick: false,
+                onClick: async () => {
+                    try {
+                        await Areas.saveGroup({
+                            id: group?.id,
+                            name: document.getElementById('group-name')?.value,
+                            level: parseInt(document.getElementById('group-level')?.value, 10),
+                            parentId: document.getElementById('group-parent')?.value || null
+                        });
+                    } catch (err) {
+                        Utils.setText(document.getElementById('group-error'), err.message);
+                        return;
+                    }
+
+                    document.querySelector('.modal-overlay')?.remove();
+                    UI.showToast('Group saved', 'success');
+                    this.render();
+                }
+            }
+        ]);
+
+        const levelSelect = document.getElementById('group-level');
+        const parentSelect = document.getElementById('group-parent');
+        if (!levelSelect || !parentSelect) return;
 
-            const actions = row.insertCell();
-            const deleteBtn = document.createElement('button');
-            deleteBtn.className = 'btn btn-danger btn-sm';
-            Utils.setText(deleteBtn, 'Delete');
-            deleteBtn.addEventListener('click', () => this.deleteArea(area));
-            actions.appendChild(deleteBtn);
+        Storage.getAreaGroups().levels.forEach((name, i) => {
+            const opt = document.createElement('option');
+            opt.value = i;
+            Utils.setText(opt, name);
+            levelSelect.appendChild(opt);
         });
+
+        // Only groups one level up can be the parent
+        const renderParents = () => {
+            const level = parseInt(levelSelect.value, 10);
+            parentSelect.innerHTML = '';
+            const candidates = level === 0 ? [{ id: '', label: '(none)' }]
+                : this.getGroupOptions().filter(g => g.level === level - 1 && g.id !== group?.id);
+            candidates.forEach(g => {
+                const opt = document.createElement('option');
+                opt.value = g.id;
+                Utils.setText(opt, g.label);
+                parentSelect.appendChild(opt);
+            });
+        };
+        levelSelect.addEventListener('change', renderParents);
+
+        document.getElementById('group-name').value = group ? group.name : '';
+        levelSelect.value = group ? group.level : 0;
+        renderParents();
+        if (group?.parentId) parentSelect.value = group.parentId;
     },
 
     showCreateUserModal() {
         const areas = Storage.getAreas();
         let areasHTML = '<div class="area-select">';
+        this.getGroupOptions().forEach(g => {
+            areasHTML += `<label><input type="checkbox" value="${Areas.GROUP_PREFIX}${g.id}"> ${g.label} (all areas)</label>`;
+        });
         areas.forEach(area => {
             areasHTML += `<label><input type="checkbox" value="${area}"> ${area}</label>`;
         });
@@ -1267,7 +6839,7 @@ const AdminView = {
                     const role = document.getElementById('new-role')?.value;
                     const errorDiv = document.getElementById('create-error');
 
-                    const selected = Array.from(document.querySelectorAll('#new-username').parentElement?.parentElement?.querySelectorAll('input[type="checkbox"]:checked') || [])
+                    const selected = Array.from(document.querySelectorAll('.modal-overlay .area-select input[type="checkbox"]:checked'))
                         .map(c => c.value);
 
                     if (!username) {
@@ -1277,13 +6849,15 @@ const AdminView = {
 
                     try {
                         const tempPwd = Utils.generatePassword();
-                        await Auth.createUser(username, tempPwd, role, selected);
+                        await Auth.createUser(username, tempPwd, role, selected, true);
+                        await Audit.log({ field: 'user_created', target: username, to: { role, assignedAreas: selected } });
 
                         document.querySelector('.modal-overlay')?.remove();
 
                         UI.showModal('User Created', `
                             <p>Username: ${username}</p>
                             <p>Temp Password: <code>${tempPwd}</code></p>
+                            <p>They will be asked to choose their own password at first login.</p>
                         `, [
                             { text: 'OK', className: 'btn-primary' }
                         ]);
@@ -1300,22 +6874,43 @@ const AdminView = {
     resetPassword(username) {
         const tempPwd = Utils.generatePassword();
         UI.confirm(`Reset password for ${username}?`, async () => {
-            await Auth.resetPassword(username, tempPwd);
+            try {
+                await Auth.resetPassword(username, tempPwd);
+            } catch (err) {
+                UI.showToast(err.message, 'error');
+                return;
+            }
+            // The password has changed, so the temp password is shown even if the audit write fails
+            try {
+                await Audit.log({ field: 'password_reset', target: username });
+            } catch (err) {
+                UI.showToast(err.message, 'error');
+            }
             UI.showModal('Password Reset', `
                 <p>Username: ${username}</p>
                 <p>New Temp Password: <code>${tempPwd}</code></p>
+                <p>They will be asked to choose their own password at next login.</p>
             `, [
                 { text: 'OK', className: 'btn-primary' }
             ]);
         });
     },
 
-    toggleUser(username) {
+    async toggleUser(username) {
         const users = Storage.getUsers();
         const user = users.find(u => u.username === username);
         if (user) {
+            // Capture the actor first: an admin disabling themselves is logged out by the save
+            const actor = Auth.getCurrentUser()?.username;
             user.disabled = !user.disabled;
-            Storage.saveUsers(users);
+            try {
+                await Storage.saveUsers(users);
+                await Audit.log({ user: actor, field: 'user_disabled', target: username, from: !user.disabled, to: user.disabled });
+            } catch (err) {
+                UI.showToast(err.message, 'error');
+                this.render();
+                return;
+            }
             UI.showToast(`User ${user.disabled ? 'disabled' : 'enabled'}`, 'success');
             this.render();
         }
@@ -1336,7 +6931,7 @@ const AdminView = {
                 text: 'Add',
                 className: 'btn-primary',
                 closeOnClick: false,
-                onClick: () => {
+                onClick: async () => {
                     const name = document.getElementById('new-area-name')?.value.trim();
                     const errorDiv = document.getElementById('add-area-error');
 
@@ -1350,9 +6945,20 @@ const AdminView = {
                         Utils.setText(errorDiv, 'Already exists');
                         return;
                     }
+                    if (Areas.isArchived(name)) {
+                        Utils.setText(errorDiv, 'An archived area has this name; restore it instead');
+                        return;
+                    }
 
                     areas.push(name);
-                    Storage.saveAreas(areas);
+                    try {
+                        await Storage.saveAreas(areas);
+                        await Audit.log({ field: 'area_added', area: name, to: { position: areas.length - 1 } });
+                    } catch (err) {
+                        UI.showToast(err.message, 'error');
+                        this.render();
+                        return;
+                    }
 
                     document.querySelector('.modal-overlay')?.remove();
                     UI.showToast('Area added', 'success');
@@ -1362,17 +6968,107 @@ const AdminView = {
         ]);
     },
 
-    deleteArea(area) {
-        UI.confirm(`Delete "${area}"?`, () => {
-            const areas = Storage.getAreas();
-            const idx = areas.indexOf(area);
-            if (idx >= 0) {
-                areas.splice(idx, 1);
-                Storage.saveAreas(areas);
-                UI.showToast('Area deleted', 'success');
-                this.render();
+    showTemplateModal(area) {
+        const bodyHTML = `
+            <div class="form-group">
+                <label for="template-designations">Default designations (one per line):</label>
+                <textarea id="template-designations" rows="8"></textarea>
+            </div>
+            <p>Added as empty rows when ${area} is first opened for today.</p>
+        `;
+
+        UI.showModal(`Template: ${area}`, bodyHTML, [
+            { text: 'Cancel', className: 'btn-secondary' },
+            {
+                text: 'Save',
+                className: 'btn-primary',
+                onClick: async () => {
+                    const text = document.getElementById('template-designations')?.value || '';
+                    try {
+                        const saved = await Templates.save(area, text.split('\n'));
+                        UI.showToast(saved.length > 0 ? `Template saved (${saved.length})` : 'Template cleared', 'success');
+                    } catch (err) {
+                        UI.showToast(err.message, 'error');
+                    }
+                    this.render();
+                }
+            }
+        ]);
+
+        const textarea = document.getElementById('template-designations');
+        if (textarea) textarea.value = Templates.get(area).join('\n');
+    },
+
+    showRenameAreaModal(area) {
+        const bodyHTML = `
+            <div class="form-group">
+                <label for="rename-area-name">New Name:</label>
+                <input type="text" id="rename-area-name" autocomplete="off">
+            </div>
+            <p>Records on every open date, user assignments, templates and plans move to the new name. Closed dates keep the old name.</p>
+            <div id="rename-area-error" class="error-message"></div>
+        `;
+
+        UI.showModal(`Rename ${area}`, bodyHTML, [
+            { text: 'Cancel', className: 'btn-secondary' },
+            {
+                text: 'Rename',
+                className: 'btn-primary',
+                closeOnClick: false,
+                onClick: async () => {
+                    const name = document.getElementById('rename-area-name')?.value;
+                    let result;
+                    try {
+                        result = await Areas.rename(area, name);
+                    } catch (err) {
+                        Utils.setText(document.getElementById('rename-area-error'), err.message);
+                        return;
+                    }
+
+                    document.querySelector('.modal-overlay')?.remove();
+                    if (result?.closedDates.length > 0) {
+                        UI.showToast(`Area renamed. Closed dates keep the old name: ${result.closedDates.join(', ')}`, 'warning');
+                    } else {
+                        UI.showToast('Area renamed', 'success');
+                    }
+                    this.render();
+                }
+            }
+        ]);
+
+        const input = document.getElementById('rename-area-name');
+        if (input) input.value = area;
+    },
+
+    async moveArea(area, delta) {
+        try {
+            await Areas.move(area, delta);
+        } catch (err) {
+            UI.showToast(err.message, 'error');
+        }
+        this.renderAreasTable();
+    },
+
+    archiveArea(area) {
+        UI.confirm(`Archive "${area}"? It is hidden from entry; its records stay in reports and exports.`, async () => {
+            try {
+                await Areas.archive(area);
+                UI.showToast('Area archived', 'success');
+            } catch (err) {
+                UI.showToast(err.message, 'error');
             }
+            this.render();
         });
+    },
+
+    async restoreArea(area) {
+        try {
+            await Areas.restore(area);
+            UI.showToast('Area restored', 'success');
+        } catch (err) {
+            UI.showToast(err.message, 'error');
+        }
+        this.render();
     }
 };
 
@@ -1380,9 +7076,67 @@ const AdminView = {
 // APP INITIALIZATION
 // ============================================
 const App = {
-    init() {
+    async init() {
+        this.setupServiceWorker();
+
+        try {
+            await Storage.init();
+        } catch (err) {
+            UI.switchScreen('login-screen');
+            Utils.setText(document.getElementById('login-error'), `Cannot open local storage: ${err.message || err}`);
+            return;
+        }
+
+        // Encrypted data needs the passphrase before anything can read it
+        if (Storage.dataLocked) {
+            this.showDataUnlock();
+            return;
+        }
+        await this.start();
+    },
+
+    showDataUnlock() {
+        UI.switchScreen('data-unlock-screen');
+        // The passphrase was changed meanwhile: start over with the new one
+        Storage.onExternalChange = change => {
+            if (change.kv?.includes(STORAGE_KEYS.ENCRYPTION)) window.location.reload();
+        };
+        const input = document.getElementById('data-passphrase');
+        const errorDiv = document.getElementById('data-unlock-error');
+
+        const unlock = async () => {
+            Utils.setText(errorDiv, '');
+            try {
+                await Storage.unlockData(input?.value);
+                if (input) input.value = '';
+                await this.start();
+            } catch (err) {
+                Utils.setText(errorDiv, err.message);
+            }
+        };
+
+        document.getElementById('data-unlock-btn')?.addEventListener('click', unlock);
+        input?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') unlock();
+        });
+    },
+
+    async start() {
+        try {
+            await Schema.migrate();
+        } catch (err) {
+            UI.switchScreen('login-screen');
+            Utils.setText(document.getElementById('login-error'), `Cannot upgrade stored data: ${err.message || err}`);
+            return;
+        }
+        await Areas.adoptOrphans();
+
+        // Needed on the first-run screen too
+        this.setupTabSync();
+        this.setupSync();
+
         // CRITICAL FIRST-RUN CHECK
-        if (this.checkFirstRun()) {
+        if (await this.checkFirstRun()) {
             return; // STOP HERE - do not proceed
         }
 
@@ -1394,14 +7148,16 @@ const App = {
         // Check if already logged in
         const user = Auth.getCurrentUser();
         if (user) {
-            this.showMainApp();
+            this.enterApp(user);
+        } else if (Auth.isLocked()) {
+            this.showLockScreen();
         } else {
             UI.switchScreen('login-screen');
             this.setupLoginForm();
         }
     },
 
-    checkFirstRun() {
+    async checkFirstRun() {
         const users = Storage.getUsers();
         const hasAdmin = users.some(u => u.role === 'admin' && !u.disabled);
 
@@ -1409,7 +7165,7 @@ const App = {
             // First run: no users or no admin
             const areas = Storage.getAreas();
             if (areas.length === 0) {
-                Storage.saveAreas(CONFIG.DEFAULT_AREAS);
+                await Storage.saveAreas(CONFIG.DEFAULT_AREAS);
             }
 
             this.setupTheme();
@@ -1446,11 +7202,6 @@ const App = {
                 return;
             }
 
-            if (password.length < 6) {
-                Utils.setText(errorDiv, 'Password must be 6+ characters');
-                return;
-            }
-
             try {
                 await Auth.createUser(username, password, 'admin');
                 document.getElementById('admin-username').value = '';
@@ -1496,30 +7247,129 @@ const App = {
             await Auth.login(username, password);
             document.getElementById('login-username').value = '';
             document.getElementById('login-password').value = '';
-            this.showMainApp();
+            this.enterApp(Auth.getCurrentUser());
         } catch (err) {
             Utils.setText(errorDiv, err.message);
         }
     },
 
+    // Users holding a temporary password must replace it before using the app.
+    enterApp(user) {
+        if (user?.mustChangePassword) {
+            this.showForcedPasswordChange();
+        } else {
+            this.showMainApp();
+        }
+    },
+
+    showForcedPasswordChange() {
+        UI.switchScreen('change-password-screen');
+        const ids = ['forced-current-password', 'forced-new-password', 'forced-confirm-password'];
+        const errorDiv = document.getElementById('forced-password-error');
+
+        const submit = async () => {
+            const [current, next, confirm] = ids.map(id => document.getElementById(id)?.value || '');
+            Utils.setText(errorDiv, '');
+
+            if (next !== confirm) {
+                Utils.setText(errorDiv, 'Passwords do not match');
+                return;
+            }
+
+            try {
+                await Auth.changePassword(current, next);
+                ids.forEach(id => {
+                    const el = document.getElementById(id);
+                    if (el) el.value = '';
+                });
+                UI.showToast('Password changed', 'success');
+                this.showMainApp();
+            } catch (err) {
+                Utils.setText(errorDiv, err.message);
+            }
+        };
+
+        document.getElementById('forced-password-btn')?.addEventListener('click', submit);
+        document.getElementById('forced-confirm-password')?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') submit();
+        });
+        document.getElementById('forced-logout-btn')?.addEventListener('click', async () => {
+            await Auth.logout();
+            window.location.reload();
+        });
+    },
+
+    showChangePasswordModal() {
+        const bodyHTML = `
+            <div class="form-group">
+                <label>Current password:</label>
+                <input type="password" id="change-current-password" autocomplete="current-password">
+            </div>
+            <div class="form-group">
+                <label>New password:</label>
+                <input type="password" id="change-new-password" autocomplete="new-password">
+            </div>
+            <div class="form-group">
+                <label>Confirm new password:</label>
+                <input type="password" id="change-confirm-password" autocomplete="new-password">
+            </div>
+            <p>At least ${CONFIG.PASSWORD_MIN_LENGTH} characters, using three of: lower case, upper case, digits, symbols.</p>
+            <div id="change-password-error" class="error-message"></div>
+        `;
+
+        const overlay = UI.showModal('Change Password', bodyHTML, [
+            { text: 'Cancel', className: 'btn-secondary' },
+            {
+                text: 'Change',
+                className: 'btn-primary',
+                closeOnClick: false,
+                onClick: async () => {
+                    const current = document.getElementById('change-current-password')?.value;
+                    const next = document.getElementById('change-new-password')?.value;
+                    const confirm = document.getElementById('change-confirm-password')?.value;
+                    const errorDiv = document.getElementById('change-password-error');
+
+                    if (next !== confirm) {
+                        Utils.setText(errorDiv, 'Passwords do not match');
+                        return;
+                    }
+
+                    try {
+                        await Auth.changePassword(current, next);
+                        overlay.remove();
+                        UI.showToast('Password changed', 'success');
+                    } catch (err) {
+                        Utils.setText(errorDiv, err.message);
+                    }
+                }
+            }
+        ]);
+    },
+
     showMainApp() {
         UI.switchScreen('app-screen');
         this.setupNavigation();
         this.setupLogout();
+        document.getElementById('change-password-btn')?.addEventListener('click', () => this.showChangePasswordModal());
+        this.setupSessionTimer();
 
         const user = Auth.getCurrentUser();
-        const adminBtn = document.getElementById('admin-nav-btn');
-        if (adminBtn) {
-            adminBtn.style.display = (user && user.role === 'admin') ? 'flex' : 'none';
-        }
+        this.shownUser = user?.username || null;
+        ['admin-nav-btn', 'audit-nav-btn'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.style.display = (user && user.role === 'admin') ? 'flex' : 'none';
+        });
 
         HomeView.init();
         EntryView.init();
         ExportView.init();
+        TrendsView.init();
+        ImportView.init();
         BackupView.init();
 
         if (user && user.role === 'admin') {
             AdminView.init();
+            AuditView.init();
         }
 
         UI.switchView('home');
@@ -1533,17 +7383,214 @@ const App = {
 
                 if (view === 'home') HomeView.render();
                 if (view === 'entry') EntryView.render();
+                if (view === 'export') ExportView.renderRangeSummary();
+                if (view === 'trends') TrendsView.render();
+                if (view === 'audit') AuditView.render();
                 if (view === 'admin') AdminView.render();
             });
         });
     },
 
+    updateAccepted: false,
+    shownUser: null,
+
+    // Offline support. Not available when index.html is opened as a file.
+    setupServiceWorker() {
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            // Only reload for an update the user accepted, not the first install
+            if (reloading || !this.updateAccepted) return;
+            reloading = true;
+            window.location.reload();
+        });
+
+        navigator.serviceWorker.register('sw.js').then(reg => {
+            const promptIfWaiting = () => {
+                if (reg.waiting && navigator.serviceWorker.controller) this.showUpdatePrompt(reg.waiting);
+            };
+
+            promptIfWaiting();
+            reg.addEventListener('updatefound', () => {
+                const worker = reg.installing;
+                worker?.addEventListener('statechange', () => {
+                    if (worker.state === 'installed') promptIfWaiting();
+                });
+            });
+        }).catch(() => {
+            // No offline support (e.g. private browsing); the app still works online
+        });
+    },
+
+    showUpdatePrompt(worker) {
+        const banner = document.getElementById('update-banner');
+        const btn = document.getElementById('update-reload-btn');
+        if (!banner || !btn) return;
+
+        banner.style.display = 'flex';
+        btn.onclick = () => {
+            this.updateAccepted = true;
+            btn.disabled = true;
+            worker.postMessage('skipWaiting');
+        };
+    },
+
+    setupSync() {
+        const btn = document.getElementById('sync-status');
+        if (btn) {
+            btn.addEventListener('click', () => Sync.sync());
+        }
+
+        Sync.start(() => this.refreshOpenView());
+    },
+
+    // Keeps several open tabs consistent: a sign-in or sign-out in one tab,
+    // or a new data passphrase, reloads the others, and other data changes
+    // refresh the open view.
+    setupTabSync() {
+        Storage.onExternalChange = change => {
+            // A locked session still belongs to its user, so locking does not reload other tabs
+            if (change.kv?.includes(STORAGE_KEYS.ENCRYPTION) ||
+                (change.kv?.includes(STORAGE_KEYS.SESSION) && (Storage.getSession().currentUser || null) !== (this.shownUser || null))) {
+                window.location.reload();
+                return;
+            }
+            // Session activity stamps (Auth.touch) change nothing on screen
+            const sessionOnly = Object.keys(change).every(k => k === 'kv') && change.kv?.every(k => k === STORAGE_KEYS.SESSION);
+            if (sessionOnly) return;
+            UI.renderSyncStatus();
+            this.refreshOpenView();
+        };
+    },
+
+    refreshOpenView() {
+        if (!Auth.getCurrentUser()) return;
+        const isOpen = view => document.getElementById(`${view}-view`)?.style.display === 'block';
+        if (isOpen('home')) HomeView.render();
+        if (isOpen('entry')) EntryView.refresh();
+    },
+
+    // Sliding inactivity timeout. Activity keeps the session alive; for the
+    // last CONFIG.SESSION_WARNING a countdown offers to stay signed in, then
+    // the lock screen covers the app until the password is entered again.
+    // The app screen underneath is left as it was.
+    setupSessionTimer() {
+        if (this.sessionTimer) return;
+        ['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => Auth.touch(), { passive: true });
+        });
+        this.sessionTimer = setInterval(() => this.checkSession(), 1000);
+    },
+
+    checkSession() {
+        const sess = Storage.getSession();
+        if (!sess.currentUser) return;
+
+        if (Auth.isLocked()) {
+            if (!this.lockShown) {
+                Auth.lock();
+                this.showLockScreen();
+            }
+            return;
+        }
+
+        // Unlocked in another tab
+        if (this.lockShown) this.hideLockScreen();
+
+        const remaining = sess.expiresAt - Date.now();
+        if (remaining <= CONFIG.SESSION_WARNING) {
+            this.showSessionWarning(remaining);
+        } else {
+            this.hideSessionWarning();
+        }
+    },
+
+    showSessionWarning(remaining) {
+        const text = `This session will lock in ${Math.ceil(remaining / 1000)} second(s) because of inactivity.`;
+        if (this.sessionWarning?.isConnected) {
+            Utils.setText(this.sessionWarning.querySelector('.modal-body p'), text);
+            return;
+        }
+
+        this.sessionWarning = UI.showModal('Still There?', `<p>${text}</p>`, [
+            {
+                text: 'Logout',
+                className: 'btn-secondary',
+                onClick: async () => {
+                    await Auth.logout();
+                    window.location.reload();
+                }
+            },
+            { text: 'Stay Signed In', className: 'btn-primary', onClick: () => Auth.touch(true) }
+        ]);
+    },
+
+    hideSessionWarning() {
+        this.sessionWarning?.remove();
+        this.sessionWarning = null;
+    },
+
+    showLockScreen() {
+        this.lockShown = true;
+        this.hideSessionWarning();
+        // Open dialogs stay where they were, out of sight until unlocked
+        const modals = document.getElementById('modal-container');
+        if (modals) modals.style.display = 'none';
+
+        UI.switchScreen('lock-screen');
+        Utils.setText(document.getElementById('lock-username'), Storage.getSession().currentUser || '');
+        Utils.setText(document.getElementById('lock-error'), '');
+        const pwd = document.getElementById('lock-password');
+        if (pwd) pwd.value = '';
+        this.setupLockScreen();
+    },
+
+    hideLockScreen() {
+        this.lockShown = false;
+        const modals = document.getElementById('modal-container');
+        if (modals) modals.style.display = '';
+
+        if (this.shownUser) {
+            UI.switchScreen('app-screen');
+            this.refreshOpenView();
+        } else {
+            // Locked since before this page loaded
+            this.enterApp(Auth.getCurrentUser());
+        }
+    },
+
+    setupLockScreen() {
+        if (this.lockReady) return;
+        this.lockReady = true;
+
+        const unlock = async () => {
+            const errorDiv = document.getElementById('lock-error');
+            Utils.setText(errorDiv, '');
+            try {
+                await Auth.login(Storage.getSession().currentUser, document.getElementById('lock-password')?.value || '');
+                this.hideLockScreen();
+            } catch (err) {
+                Utils.setText(errorDiv, err.message);
+            }
+        };
+
+        document.getElementById('unlock-btn')?.addEventListener('click', unlock);
+        document.getElementById('lock-password')?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') unlock();
+        });
+        document.getElementById('lock-logout-btn')?.addEventListener('click', async () => {
+            await Auth.logout();
+            window.location.reload();
+        });
+    },
+
     setupLogout() {
         const btn = document.getElementById('logout-btn');
         if (btn) {
             btn.addEventListener('click', () => {
-                UI.confirm('Logout?', () => {
-                    Auth.logout();
+                UI.confirm('Logout?', async () => {
+                    await Auth.logout();
                     window.location.reload();
                 });
             });
@@ -0,0 +1,268 @@
+// ============================================
+// HEADCOUNT SYNC SERVER (reference)
+// ============================================
+// A small sync server for self-hosting and testing. It has no dependencies
+// beyond Node.js (18 or newer) and keeps everything as JSON files:
+//
+//   DATA_DIR/meta.json        { seq }  the last change number handed out
+//   DATA_DIR/docs/<id>.json   { id, rev, seq, updatedAt, updatedBy, value }
+//   DATA_DIR/audit.jsonl      one { seq, entry } per line, append-only
+//
+// Documents are 'areas', 'users' and 'attendance/YYYY-MM-DD'. A PUT must
+// name the rev it was based on; if the document has moved on since, the
+// server answers 409 with its copy and the app merges and retries, so the
+// merge rules live in one place (Sync in app.js).
+//
+//   GET  /api/changes?since=N  -> { seq, docs: [...], audit: [...] } changed after N
+//   PUT  /api/docs/<id>        { baseRev, updatedAt, updatedBy, value } -> { rev, seq } or 409
+//   POST /api/audit            { entries } -> { seq }; entries already stored are skipped
+//
+// Any other GET serves the app itself from APP_DIR, so one origin can host
+// both. Settings come from the environment:
+//   PORT        default 8787
+//   DATA_DIR    default ./sync-data next to this file
+//   APP_DIR     default the folder above this file
+//   SYNC_TOKEN  if set, API calls need "Authorization: Bearer <token>"
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'sync-data'));
+const APP_DIR = path.resolve(process.env.APP_DIR || path.join(__dirname, '..'));
+const TOKEN = process.env.SYNC_TOKEN || '';
+const MAX_BODY = 10 * 1024 * 1024;
+
+const DOC_ID = /^(areas|users|attendance\/\d{4}-\d{2}-\d{2})$/;
+const MIME = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+
+// ============================================
+// FILE STORE
+// ============================================
+const Store = {
+    seq: 0,
+    docs: new Map(),
+    audit: [],
+    auditIds: new Set(),
+
+    load() {
+        fs.mkdirSync(path.join(DATA_DIR, 'docs'), { recursive: true });
+
+        const meta = this._read(path.join(DATA_DIR, 'meta.json'));
+        this.seq = meta?.seq || 0;
+
+        fs.readdirSync(path.join(DATA_DIR, 'docs')).filter(f => f.endsWith('.json')).forEach(f => {
+            const doc = this._read(path.join(DATA_DIR, 'docs', f));
+            if (doc?.id) this.docs.set(doc.id, doc);
+        });
+
+        const auditFile = path.join(DATA_DIR, 'audit.jsonl');
+        if (fs.existsSync(auditFile)) {
+            fs.readFileSync(auditFile, 'utf8').split('\n').filter(Boolean).forEach(line => {
+                try {
+                    const record = JSON.parse(line);
+                    this.audit.push(record);
+                    this.auditIds.add(record.entry.id);
+                } catch (e) {
+                    // A line cut short by a crash; the client sends it again
+                }
+            });
+        }
+    },
+
+    _read(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            return null;
+        }
+    },
+
+    // Write to a temporary file and rename, so a crash never leaves half a file
+    _write(file, data) {
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data));
+        fs.renameSync(tmp, file);
+    },
+
+    _nextSeq() {
+        this.seq++;
+        this._write(path.join(DATA_DIR, 'meta.json'), { seq: this.seq });
+        return this.seq;
+    },
+
+    changes(since) {
+        return {
+            seq: this.seq,
+            docs: [...this.docs.values()].filter(d => d.seq > since),
+            audit: this.audit.filter(a => a.seq > since).map(a => a.entry)
+        };
+    },
+
+    // Returns { doc } when saved, or { conflict: currentDoc } when baseRev is stale
+    putDoc(id, { baseRev, updatedAt, updatedBy, value }) {
+        const current = this.docs.get(id);
+        if ((current?.rev || 0) !== (baseRev || 0)) return { conflict: current || { id, rev: 0, value: null } };
+
+        const doc = {
+            id,
+            rev: (current?.rev || 0) + 1,
+            seq: this._nextSeq(),
+            updatedAt: updatedAt || Date.now(),
+            updatedBy: updatedBy || null,
+            value
+        };
+        this._write(path.join(DATA_DIR, 'docs', `${id.replace('/', '_')}.json`), doc);
+        this.docs.set(id, doc);
+        return { doc };
+    },
+
+    addAudit(entries) {
+        const fresh = entries.filter(e => e && e.id && !this.auditIds.has(e.id));
+        if (fresh.length === 0) return;
+
+        const seq = this._nextSeq();
+        const records = fresh.map(entry => ({ seq, entry }));
+        fs.appendFileSync(path.join(DATA_DIR, 'audit.jsonl'), records.map(r => JSON.stringify(r)).join('\n') + '\n');
+        records.forEach(r => {
+            this.audit.push(r);
+            this.auditIds.add(r.entry.id);
+        });
+    }
+};
+
+// ============================================
+// HTTP
+// ============================================
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch (e) {
+                reject(new Error('Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+async function handleApi(req, res, url) {
+    if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+        send(res, 401, { error: 'Wrong or missing access token' });
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/changes') {
+        const since = Number(url.searchParams.get('since')) || 0;
+        send(res, 200, Store.changes(since));
+        return;
+    }
+
+    if (req.method === 'PUT' && url.pathname.startsWith('/api/docs/')) {
+        const id = decodeURIComponent(url.pathname.slice('/api/docs/'.length));
+        if (!DOC_ID.test(id)) {
+            send(res, 404, { error: `Unknown document ${id}` });
+            return;
+        }
+        const body = await readBody(req);
+        if (body.value === undefined) {
+            send(res, 400, { error: 'Missing value' });
+            return;
+        }
+        const result = Store.putDoc(id, body);
+        if (result.conflict) send(res, 409, result.conflict);
+        else send(res, 200, { rev: result.doc.rev, seq: result.doc.seq });
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/audit') {
+        const body = await readBody(req);
+        if (!Array.isArray(body.entries)) {
+            send(res, 400, { error: 'Missing entries' });
+            return;
+        }
+        Store.addAudit(body.entries);
+        send(res, 200, { seq: Store.seq });
+        return;
+    }
+
+    send(res, 404, { error: 'Not found' });
+}
+
+function serveApp(req, res, url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        send(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    const rel = decodeURIComponent(url.pathname) === '/' ? 'index.html' : decodeURIComponent(url.pathname).slice(1);
+    const file = path.resolve(APP_DIR, rel);
+    // Only the app's own files: nothing outside APP_DIR, from this folder or from DATA_DIR
+    const inside = dir => file.startsWith(dir + path.sep);
+    if (!inside(APP_DIR) || inside(__dirname) || inside(DATA_DIR) || !MIME[path.extname(file)]) {
+        send(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            send(res, 404, { error: 'Not found' });
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME[path.extname(file)] });
+        res.end(req.method === 'HEAD' ? undefined : data);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    // The app may be hosted elsewhere, so allow calls from any origin
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    try {
+        if (url.pathname.startsWith('/api/')) await handleApi(req, res, url);
+        else serveApp(req, res, url);
+    } catch (err) {
+        send(res, 400, { error: err.message });
+    }
+});
+
+Store.load();
+server.listen(PORT, () => {
+    console.log(`Headcount sync server on http://localhost:${PORT} (data in ${DATA_DIR})`);
+    if (!TOKEN) console.log('SYNC_TOKEN is not set: anyone who can reach this port can read and change the data.');
+});
@@ -0,0 +1,53 @@
+// ============================================
+// SERVICE WORKER
+// ============================================
+// Caches the app shell so the app launches with no signal. Files are served
+// cache-first; a new deployment is picked up when this file changes, so bump
+// CACHE_VERSION whenever index.html, styles.css or app.js change. The new
+// worker waits until the page tells it to take over (the "Reload" prompt).
+const CACHE_VERSION = 'hc-v11';
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './styles.css',
+    './app.js',
+    './manifest.webmanifest',
+    './icons/icon.svg',
+    './icons/icon-192.png',
+    './icons/icon-512.png'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_VERSION).then(cache => cache.addAll(APP_SHELL)));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(k => k !== CACHE_VERSION).map(k => caches.delete(k))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    if (event.data === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    // Sync API calls always go to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.includes('/api/')) return;
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => {
+            if (cached) return cached;
+            return fetch(request).catch(() => {
+                // Offline and not cached: a page load still gets the app
+                if (request.mode === 'navigate') return caches.match('./index.html');
+                throw new Error('Offline');
+            });
+        })
+    );
+});